@@ -6,31 +6,23 @@ import { ExchangeDetector } from './src/analyzers/exchangeDetector.js';
 import { Reporter } from './src/reporter.js';
 import { logger } from './src/utils/logger.js';
 import { FileStorage } from './src/utils/storage.js';
-import axios from 'axios';
+import { sumPlanck, toPlanck } from './src/utils/units.js';
+import { getSubscanClient } from './src/utils/subscanClient.js';
 
 config();
 
 // Get top validators from Subscan
 async function getTopValidators() {
   try {
-    const response = await axios.post(
-      'https://polkadot.api.subscan.io/api/scan/staking/validators',
-      {
-        row: 20,
-        page: 0,
-        order: 'desc',
-        order_field: 'bonded_total'
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': process.env.SUBSCAN_API_KEY
-        }
-      }
-    );
+    const data = await getSubscanClient().request('/api/scan/staking/validators', {
+      row: 20,
+      page: 0,
+      order: 'desc',
+      order_field: 'bonded_total'
+    });
     
-    if (response.data.code === 0 && response.data.data?.list) {
-      return response.data.data.list.map(v => ({
+    if (data?.list) {
+      return data.list.map(v => ({
         address: v.controller_account_display?.address || v.controller_account,
         identity: v.controller_account_display?.display || 'Validator',
         bonded: parseFloat(v.bonded_total || 0)
@@ -84,24 +76,24 @@ async function runLiveDemo() {
     
     // Show reward summary
     if (recentRewards.length > 0) {
-      const totalRewards = recentRewards.reduce((sum, r) => sum + r.amount, 0);
-      console.log(`Total Rewards (24h): ${totalRewards.toLocaleString()} DOT`);
+      const totalRewards = sumPlanck(recentRewards.map(r => r.amount));
+      console.log(`Total Rewards (24h): ${reporter.formatAmount(totalRewards)}`);
       
       // Group by address
       const rewardsByAddress = {};
       recentRewards.forEach(r => {
         if (!rewardsByAddress[r.address]) {
-          rewardsByAddress[r.address] = 0;
+          rewardsByAddress[r.address] = 0n;
         }
-        rewardsByAddress[r.address] += r.amount;
+        rewardsByAddress[r.address] += toPlanck(r.amount);
       });
       
       console.log('\nTop Reward Recipients:');
       Object.entries(rewardsByAddress)
-        .sort(([,a], [,b]) => b - a)
+        .sort(([,a], [,b]) => (b > a ? 1 : b < a ? -1 : 0))
         .slice(0, 5)
         .forEach(([addr, amount], i) => {
-          console.log(`  ${i + 1}. ${addr.slice(0, 8)}...${addr.slice(-6)}: ${amount.toLocaleString()} DOT`);
+          console.log(`  ${i + 1}. ${addr.slice(0, 8)}...${addr.slice(-6)}: ${reporter.formatAmount(amount)}`);
         });
     }
     
@@ -119,7 +111,7 @@ async function runLiveDemo() {
     if (exchangeFlows.length > 0) {
       console.log('Exchange Transfers Detected:');
       exchangeFlows.slice(0, 5).forEach((flow, i) => {
-        console.log(`  ${i + 1}. ${flow.from.slice(0, 8)}...${flow.from.slice(-6)} → ${flow.exchange.name}: ${flow.amount.toLocaleString()} DOT`);
+        console.log(`  ${i + 1}. ${flow.from.slice(0, 8)}...${flow.from.slice(-6)} → ${flow.exchange.name}: ${reporter.formatAmount(flow.amount)}`);
       });
     }
     
@@ -129,7 +121,8 @@ async function runLiveDemo() {
       rewards: recentRewards,
       transfers: transfers,
       exchangeFlows: exchangeFlows,
-      topReceivers: validators
+      topReceivers: validators,
+      rewardCompleteness: rewardCollector.lastCompleteness
     });
     
     // Save analysis
@@ -143,8 +136,8 @@ async function runLiveDemo() {
     console.log('                    LIVE ANALYSIS COMPLETE');
     console.log('='.repeat(70));
     console.log('\n📊 24-HOUR INFLATION SUMMARY:');
-    console.log(`   Total Rewards: ${analysis.summary.totalRewards.toLocaleString()} DOT`);
-    console.log(`   Sent to Exchanges: ${analysis.summary.exchangeFlow.toLocaleString()} DOT`);
+    console.log(`   Total Rewards: ${reporter.formatAmount(analysis.summary.totalRewards)}`);
+    console.log(`   Sent to Exchanges: ${reporter.formatAmount(analysis.summary.exchangeFlow)}`);
     console.log(`   Sell Pressure: ${analysis.summary.sellPressurePercent.toFixed(1)}%`);
     console.log(`   Quick Sellers (<1hr): ${analysis.summary.quickSellers}`);
     console.log(`   Holders: ${analysis.summary.holders}`);
@@ -152,7 +145,7 @@ async function runLiveDemo() {
     if (analysis.summary.sellPressurePercent > 0) {
       console.log('\n💡 INSIGHT:');
       console.log(`   ${analysis.summary.sellPressurePercent.toFixed(1)}% of newly minted DOT is being sent to exchanges`);
-      console.log(`   This represents ${analysis.summary.exchangeFlow.toLocaleString()} DOT of potential sell pressure`);
+      console.log(`   This represents ${reporter.formatAmount(analysis.summary.exchangeFlow)} of potential sell pressure`);
     }
     
     console.log('\n📁 Full report saved to:');
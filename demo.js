@@ -66,7 +66,8 @@ async function runDemo() {
       rewards: recentRewards,
       transfers: transfers,
       exchangeFlows: exchangeFlows,
-      topReceivers: DEMO_ADDRESSES
+      topReceivers: DEMO_ADDRESSES,
+      rewardCompleteness: rewardCollector.lastCompleteness
     });
     
     // Step 7: Save analysis
@@ -81,8 +82,8 @@ async function runDemo() {
     console.log('                    DEMO ANALYSIS COMPLETE');
     console.log('='.repeat(70));
     console.log('\n📊 SUMMARY:');
-    console.log(`   Total Rewards (7 days): ${analysis.summary.totalRewards.toLocaleString()} DOT`);
-    console.log(`   Sent to Exchanges: ${analysis.summary.exchangeFlow.toLocaleString()} DOT`);
+    console.log(`   Total Rewards (7 days): ${reporter.formatAmount(analysis.summary.totalRewards)}`);
+    console.log(`   Sent to Exchanges: ${reporter.formatAmount(analysis.summary.exchangeFlow)}`);
     console.log(`   Sell Pressure: ${analysis.summary.sellPressurePercent.toFixed(1)}%`);
     console.log(`   Quick Sellers (<1hr): ${analysis.summary.quickSellers}`);
     console.log(`   Holders: ${analysis.summary.holders}`);
@@ -90,7 +91,7 @@ async function runDemo() {
     if (analysis.details.topSellers && analysis.details.topSellers.length > 0) {
       console.log('\n💸 TOP SELLERS:');
       for (const seller of analysis.details.topSellers.slice(0, 3)) {
-        console.log(`   ${seller.address.slice(0, 8)}...${seller.address.slice(-6)}: ${seller.amount.toLocaleString()} DOT`);
+        console.log(`   ${seller.address.slice(0, 8)}...${seller.address.slice(-6)}: ${reporter.formatAmount(seller.amount)}`);
       }
     }
     
@@ -20,64 +20,132 @@ function printHelp() {
   console.log(banner);
   console.log('Usage: node index.js [command] [options]\n');
   console.log('Commands:');
-  console.log('  track              Start tracking inflation and token flows');
-  console.log('  analyze            Run analysis on collected data');
+  console.log('  track              Start tracking inflation and token flows (the first run ranks');
+  console.log('                     receivers from an archive node, see rank-receivers)');
+  console.log('  analyze            Run one analysis over a chosen window, receivers and thresholds');
   console.log('  report             Generate a report from latest data');
-  console.log('  fetch-receivers    Fetch and save top reward receivers');
+  console.log('  era                Analyze a single era (default: last completed era)');
+  console.log('  rank-receivers     Rebuild the tracked set from rewards paid in the last eras');
+  console.log('  fetch-receivers    Rebuild the tracked set from the richest validators (Subscan only)');
+  console.log('  discover-deposits  Propose exchange deposit addresses from sweeps into known wallets');
+  console.log('  review-deposits    List pending deposit proposals, or accept/reject them');
+  console.log('  labels <command>   Manage exchange labels: list, add, remove, search, import,');
+  console.log('                     dedupe, conflicts, stats');
   console.log('  help               Show this help message\n');
   console.log('Options:');
   console.log('  --hours <n>        Number of hours to analyze (default: 24)');
+  console.log('  --start <time>     Start of the analysis window, unix seconds or ISO date');
+  console.log('  --end <time>       End of the analysis window (default: now)');
+  console.log('  --receivers <a,b>  Addresses to analyze, or a file with one per line');
   console.log('  --limit <n>        Number of top receivers to track (default: 1000)');
+  console.log('  --rapid-sell-hours <n>    Reward to deposit delay of a quick seller (default: 1)');
+  console.log('  --large-flow <n>          Deposit size flagged as large, in tokens (default: 10000)');
+  console.log('  --high-sell-pressure <n>  Sell pressure % that raises an alert (default: 40)');
+  console.log('  --bucket <size>    Trend buckets: 15m, 1h (default), 1d or era');
+  console.log('  --timezone <zone>  Time zone of report times (report), e.g. Europe/Berlin (default: UTC)');
+  console.log('  --pool-members <n> Nomination pool members to add to the tracked set (default: 200)');
+  console.log('  --eras <n>         Completed eras to rank receivers over (default: 4)');
+  console.log('  --pool-accounts    Keep pools\' bonded accounts in rank-receivers');
+  console.log('  --once             Run a single tracking cycle and report, then exit');
+  console.log('  --era <n>          Era number for the era command');
+  console.log('  --network <name>   Network profile from config/networks.json (default: polkadot)');
+  console.log('  --days <n>         Days of transfers discover-deposits looks at (default: 7)');
+  console.log('  --accept <a,b>     Deposit proposals to accept (review-deposits)');
+  console.log('  --reject <a,b>     Deposit proposals to reject (review-deposits)');
+  console.log('  --accept-above <c> Accept every pending proposal with at least this confidence');
+  console.log('  --entity <id>      Exchange id for labels add/list (e.g. binance)');
+  console.log('  --kind <kind>      Label kind for labels add: wallet (default) or deposit');
+  console.log('  --chain <chain>    Chain of a chain-specific wallet (e.g. assethub)');
+  console.log('  --source <name>    Where a label comes from (labels add/import)');
+  console.log('  --confidence <c>   Label confidence, 0-1 (default: 1)');
+  console.log('  --override         Relabel addresses claimed by another exchange');
   console.log('\nExamples:');
   console.log('  node index.js track');
+  console.log('  SUBSCAN_MODE=record node index.js track --once');
+  console.log('  SUBSCAN_MODE=replay DATA_DIR=/tmp/replay node index.js track --once');
   console.log('  node index.js analyze --hours 48');
-  console.log('  node index.js fetch-receivers --limit 500');
+  console.log('  node index.js analyze --start 2025-10-01 --end 2025-10-02 --limit 50');
+  console.log('  node index.js rank-receivers --eras 7 --limit 500');
+  console.log('  node index.js era --era 1650');
+  console.log('  node index.js track --network kusama');
+  console.log('  node index.js review-deposits --accept 1abc...,1def...');
+  console.log('  node index.js labels add 14ShUZ... --entity coinbase --source etherscan-export');
+  console.log('  node index.js labels import wallets.csv --source arkham --confidence 0.8');
 }
 
 async function main() {
   const args = process.argv.slice(2);
   const command = args[0] || 'help';
   
-  // Parse options
+  // Parse options; other arguments (e.g. labels add <address>) are kept in order
   const options = {};
-  for (let i = 1; i < args.length; i += 2) {
+  const positional = [];
+  for (let i = 1; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const key = args[i].slice(2);
-      options[key] = args[i + 1] || true;
+      const value = args[i + 1];
+      
+      // Flags without a value (e.g. --once) are set to true
+      if (value === undefined || value.startsWith('--')) {
+        options[key] = true;
+      } else {
+        options[key] = value;
+        i++;
+      }
+    } else {
+      positional.push(args[i]);
     }
   }
   
+  // Select the network before any collector reads its profile
+  if (options.network) {
+    process.env.NETWORK = options.network;
+  }
+  
   switch (command) {
     case 'track':
       console.log(banner);
       logger.info('Starting inflation tracker...');
-      await import('./src/tracker.js');
+      const { startTracker } = await import('./src/tracker.js');
+      
+      if (options.once) {
+        const result = await startTracker({ once: true });
+        process.exit(result ? 0 : 1);
+      }
+      await startTracker();
       break;
       
     case 'analyze':
       logger.info('Running analysis...');
-      const { FlowAnalyzer } = await import('./src/analyzers/flowAnalyzer.js');
-      const { FileStorage } = await import('./src/utils/storage.js');
+      const { InflationTracker: AnalysisTracker } = await import('./src/tracker.js');
+      const { resolveAnalysisParams } = await import('./src/analysisParams.js');
+      const { disconnectChainApis: disconnectAnalysisApis } = await import('./src/utils/chainApi.js');
+      
+      let params;
+      try {
+        params = resolveAnalysisParams(options);
+      } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+      }
       
-      const analyzer = new FlowAnalyzer();
-      const storage = new FileStorage();
+      const analysisTracker = new AnalysisTracker();
+      await analysisTracker.initialize();
       
-      // Load latest data
-      const analysis = await storage.loadLatestAnalysis();
+      const analysis = await analysisTracker.runTrackingCycle(params);
       if (analysis) {
-        logger.info('Analysis loaded successfully');
-        console.log(JSON.stringify(analysis.summary, null, 2));
-      } else {
-        logger.error('No analysis data found. Run tracker first.');
+        await analysisTracker.reporter.generateReport(analysis, 'analysis');
       }
-      break;
+      
+      await disconnectAnalysisApis();
+      process.exit(analysis ? 0 : 1);
       
     case 'report':
       logger.info('Generating report...');
       const { Reporter } = await import('./src/reporter.js');
       const { FileStorage: Storage } = await import('./src/utils/storage.js');
       
-      const reporter = new Reporter();
+      const reporter = new Reporter({ timeZone: options.timezone });
       const store = new Storage();
       
       const latestAnalysis = await store.loadLatestAnalysis();
@@ -88,21 +156,188 @@ async function main() {
       }
       break;
       
-    case 'fetch-receivers':
-      logger.info('Fetching top reward receivers...');
-      const { RewardCollector } = await import('./src/collectors/rewardCollector.js');
-      const { FileStorage: FileStore } = await import('./src/utils/storage.js');
+    case 'era':
+      logger.info('Running era analysis...');
+      const { InflationTracker } = await import('./src/tracker.js');
+      const { disconnectChainApis } = await import('./src/utils/chainApi.js');
+      
+      const eraTracker = new InflationTracker();
+      await eraTracker.initialize();
+      
+      const eraAnalysis = await eraTracker.runEraCycle(options.era !== undefined ? parseInt(options.era) : null, options);
+      if (eraAnalysis) {
+        await eraTracker.reporter.generateReport(eraAnalysis, `era-${eraAnalysis.period.era}`);
+      }
+      
+      await disconnectChainApis();
+      process.exit(eraAnalysis ? 0 : 1);
       
-      const collector = new RewardCollector();
-      const fileStore = new FileStore();
+    case 'rank-receivers':
+    case 'fetch-receivers':
+      logger.info(command === 'rank-receivers' ? 'Ranking reward receivers...' : 'Fetching validators by balance...');
+      const { InflationTracker: ReceiverTracker } = await import('./src/tracker.js');
+      const { disconnectChainApis: disconnectApis } = await import('./src/utils/chainApi.js');
       
-      const limit = parseInt(options.limit || '1000');
-      const receivers = await collector.fetchTopRewardReceivers(limit);
-      await fileStore.saveTopReceivers(receivers);
+      const receiverTracker = new ReceiverTracker();
+      const receivers = await receiverTracker.rebuildReceivers({
+        eras: options.eras !== undefined ? parseInt(options.eras) : undefined,
+        limit: parseInt(options.limit || '1000'),
+        // Pool members are paid through their pool, so they are fetched separately
+        poolMembers: options['pool-members'] !== undefined ? parseInt(options['pool-members']) : undefined,
+        includePools: Boolean(options['pool-accounts']),
+        byBalance: command === 'fetch-receivers'
+      });
+      await disconnectApis();
       
       logger.success(`Saved ${receivers.length} top reward receivers`);
       break;
       
+    case 'discover-deposits':
+    case 'review-deposits':
+      const { DepositDiscovery } = await import('./src/analyzers/depositDiscovery.js');
+      const { ExchangeDetector } = await import('./src/analyzers/exchangeDetector.js');
+      const { TransferCollector } = await import('./src/collectors/transferCollector.js');
+      const { FileStorage: LabelStorage } = await import('./src/utils/storage.js');
+      const { formatUnits } = await import('./src/utils/units.js');
+      const { getNetwork } = await import('./src/utils/network.js');
+      
+      const labelStorage = new LabelStorage();
+      const detector = new ExchangeDetector();
+      await detector.loadExchangeAddresses();
+      const discovery = new DepositDiscovery({
+        exchangeDetector: detector,
+        transferCollector: new TransferCollector(),
+        dataDir: labelStorage.dataDir
+      });
+      const list = value => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+      
+      if (command === 'discover-deposits') {
+        logger.info('Discovering exchange deposit addresses...');
+        // Tracked reward receivers that sell everything are sellers, not deposit addresses
+        const tracked = (await labelStorage.loadTopReceivers()).map(receiver => receiver.address);
+        const result = await discovery.discover({
+          days: options.days !== undefined ? parseInt(options.days) : undefined,
+          exclude: tracked
+        });
+        logger.success(`${result.proposals.length} deposit addresses proposed, ${result.pending} pending review`);
+      } else if (options.accept || options.reject || options['accept-above']) {
+        discovery.review({
+          accept: list(options.accept),
+          reject: list(options.reject),
+          acceptAbove: options['accept-above'] !== undefined ? parseFloat(options['accept-above']) : null
+        });
+      }
+      
+      const { decimals, symbol } = getNetwork();
+      for (const proposal of discovery.listProposals('pending')) {
+        console.log(`${proposal.confidence.toFixed(2)}  ${proposal.address}  → ${proposal.exchangeName}  ` +
+          `${proposal.sweeps} sweeps, ${formatUnits(proposal.sweptAmount, decimals)} ${symbol}, ` +
+          `full ${Math.round(proposal.fullSweepRatio * 100)}%, exclusive ${Math.round(proposal.exclusivity * 100)}%`);
+      }
+      break;
+      
+    case 'labels':
+      const { LabelManager } = await import('./src/labels.js');
+      const { ExchangeDetector: LabelDetector } = await import('./src/analyzers/exchangeDetector.js');
+      
+      const labelDetector = new LabelDetector();
+      await labelDetector.loadExchangeAddresses();
+      if (!labelDetector.labelStore) {
+        logger.error('This network has no exchange list');
+        process.exit(1);
+      }
+      const labels = new LabelManager({ exchangeDetector: labelDetector });
+      const [subcommand = 'stats', target] = positional;
+      const printLabel = entry => console.log(
+        `${entry.removed ? '✗' : entry.conflicts?.length ? '!' : ' '} ${entry.chain ? `${entry.chain}:` : ''}${entry.address}  ` +
+        `${entry.entity}  ${entry.kind}  ${entry.label}  [${entry.source}, ${entry.confidence}]  ${entry.lastVerified ? `verified ${entry.lastVerified.split('T')[0]}` : 'unverified'}`
+      );
+      
+      try {
+        switch (subcommand) {
+          case 'list':
+            labels.list({ entity: options.entity || null, includeRemoved: Boolean(options.all) }).forEach(printLabel);
+            break;
+          case 'search':
+            if (!target) throw new Error('Usage: labels search <address or text>');
+            labels.search(target).forEach(printLabel);
+            break;
+          case 'add':
+            if (!target) throw new Error('Usage: labels add <address> --entity <id>');
+            const action = labels.add({
+              address: target,
+              entity: options.entity,
+              label: options.label,
+              category: options.category,
+              kind: options.kind,
+              chain: options.chain,
+              confidence: options.confidence ?? 1,
+              source: options.source || 'manual'
+            }, { override: Boolean(options.override) });
+            if (action === 'conflict') {
+              logger.warn(`${target} is labeled for ${labels.store.get(target, options.chain || null).entity}; claim recorded as a conflict (use --override to relabel)`);
+            } else {
+              logger.success(`${target}: ${action}`);
+            }
+            break;
+          case 'remove':
+            if (!target) throw new Error('Usage: labels remove <address>');
+            if (labels.remove(target, { chain: options.chain || null, reason: options.reason || null })) {
+              logger.success(`Removed label of ${target}`);
+            } else {
+              logger.warn(`No active label for ${target}`);
+            }
+            break;
+          case 'import':
+            if (!target) throw new Error('Usage: labels import <file.csv|file.json>');
+            const imported = labels.import(target, {
+              format: options.format || null,
+              source: options.source || null,
+              confidence: options.confidence ?? null,
+              override: Boolean(options.override)
+            });
+            for (const { row, address, reason } of imported.rejected) {
+              console.log(`  row ${row}: rejected ${address} (${reason})`);
+            }
+            logger.success(`Imported ${imported.rows} rows: ${imported.added} added, ${imported.updated} updated, ` +
+              `${imported.verified} re-verified, ${imported.restored} restored, ${imported.conflict} conflicts, ` +
+              `${imported.duplicates} duplicates, ${imported.rejected.length} rejected`);
+            break;
+          case 'dedupe':
+            const merged = labels.dedupe();
+            merged.forEach(item => console.log(`  ${item.address}: merged ${item.entries} entries (${item.entity})`));
+            logger.success(`Merged ${merged.length} duplicated addresses`);
+            break;
+          case 'conflicts':
+            for (const entry of labels.conflicts()) {
+              printLabel(entry);
+              entry.conflicts.forEach(claim => console.log(`      also claimed by ${claim.entity} [${claim.source}, ${claim.confidence}]`));
+            }
+            break;
+          case 'stats':
+            const stats = labels.stats();
+            console.log(`Label set v${stats.version.version} (${stats.version.updatedAt || (stats.version.version > 0 ? 'as shipped' : 'never saved')})`);
+            console.log(`  ${stats.labels} labels, ${stats.removed} removed, ${stats.invalid} invalid, ${stats.conflicts} conflicts, ` +
+              `${stats.unverified} never verified, ${stats.stale} not verified in 180 days, average confidence ${stats.averageConfidence ?? '-'}`);
+            console.log(`  by source: ${JSON.stringify(stats.bySource)}`);
+            console.log(`  by category: ${JSON.stringify(stats.byCategory)}, by kind: ${JSON.stringify(stats.byKind)}`);
+            for (const exchange of stats.exchanges) {
+              console.log(`  ${exchange.name.padEnd(20)} ${String(exchange.wallets).padStart(4)} wallets ${String(exchange.deposits).padStart(5)} deposit addresses` +
+                (exchange.invalid ? ` (${exchange.invalid} invalid)` : ''));
+            }
+            if (stats.uncovered.length > 0) {
+              logger.warn(`No valid address for: ${stats.uncovered.join(', ')}`);
+            }
+            break;
+          default:
+            throw new Error(`Unknown labels command "${subcommand}", expected list, add, remove, search, import, dedupe, conflicts or stats`);
+        }
+      } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+      }
+      break;
+      
     case 'help':
     default:
       printHelp();
@@ -4,6 +4,7 @@ import { readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../src/utils/logger.js';
+import { normalizeAddress, addressError } from '../src/utils/address.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -35,15 +36,28 @@ async function main() {
     
     logger.info(`Found ${data.receivers.length} receivers to clean`);
     
-    // Clean addresses
+    // Clean addresses, then keep only ones that decode with a valid checksum
     let cleanedCount = 0;
-    for (const receiver of data.receivers) {
+    const rejected = [];
+    const seen = new Set();
+    data.receivers = data.receivers.filter(receiver => {
       const cleaned = cleanAddress(receiver.address);
-      if (cleaned !== receiver.address) {
-        receiver.address = cleaned;
+      const normalized = normalizeAddress(cleaned);
+      if (!normalized) {
+        rejected.push({ address: receiver.address, reason: addressError(cleaned) });
+        return false;
+      }
+      if (seen.has(normalized)) {
+        rejected.push({ address: receiver.address, reason: 'duplicate' });
+        return false;
+      }
+      seen.add(normalized);
+      if (normalized !== receiver.address) {
+        receiver.address = normalized;
         cleanedCount++;
       }
-    }
+      return true;
+    });
     
     // Update timestamp
     data.timestamp = new Date().toISOString();
@@ -53,6 +67,12 @@ async function main() {
     writeFileSync(inputPath, JSON.stringify(data, null, 2));
     
     logger.success(`Cleaned ${cleanedCount} addresses`);
+    if (rejected.length > 0) {
+      logger.warn(`Removed ${rejected.length} invalid or duplicate addresses:`);
+      for (const { address, reason } of rejected) {
+        console.log(`  ${address}: ${reason}`);
+      }
+    }
     logger.info(`Total receivers: ${data.receivers.length}`);
     
     // Show sample
@@ -4,6 +4,7 @@ import { readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../src/utils/logger.js';
+import { validateAddresses } from '../src/utils/address.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -19,11 +20,11 @@ async function importFromEntities() {
     const addresses = [];
     
     if (entities.web3foundation && entities.web3foundation.addresses) {
-      // Clean and process addresses
-      const rawAddresses = entities.web3foundation.addresses.join('\n')
+      // Clean and process addresses; invalid ones are reported and skipped
+      const { valid: rawAddresses } = validateAddresses(entities.web3foundation.addresses.join('\n')
         .split('\n')
         .map(addr => addr.trim())
-        .filter(addr => addr && addr.length >= 47); // Valid Polkadot addresses
+        .filter(Boolean), { label: 'Web3 Foundation addresses' });
       
       console.log(`Found ${rawAddresses.length} Web3 Foundation addresses`);
       
@@ -4,6 +4,7 @@ import { readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../src/utils/logger.js';
+import { normalizeAddress, addressError } from '../src/utils/address.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -59,19 +60,23 @@ function parseNominatorsCSV(csvContent, limit = 300) {
     // Extract data
     const rank = parseInt(parts[0]);
     const nominatorUrl = parts[2]; // nominator_dune_url column
-    const address = extractAddress(nominatorUrl);
+    const extracted = extractAddress(nominatorUrl || '');
+    const address = normalizeAddress(extracted);
     const delegatedAmount = parseFloat(parts[5] || 0);
     const stakingRewards = parseFloat(parts[6] || 0);
     const apr = parseFloat(parts[7] || 0);
     
-    if (address && address.length >= 47) {
+    if (!address) {
+      logger.warn(`Row ${i}: rejected address ${extracted} (${addressError(extracted)})`);
+    } else {
       nominators.push({
         rank,
         address,
         delegatedAmount,
         stakingRewards,
         apr,
-        identity: parts[2].includes('pos.dog') ? 'pos.dog' : `Nominator #${rank}`
+        // Resolved from on-chain identities when the tracker loads the receivers
+        identity: null
       });
     }
   }
@@ -99,7 +104,8 @@ async function importNominators() {
       identity: nom.identity,
       balance: nom.delegatedAmount,
       apr: nom.apr,
-      rank: nom.rank
+      rank: nom.rank,
+      type: 'nominator'
     }));
     
     // Save to our format
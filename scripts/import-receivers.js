@@ -4,6 +4,7 @@ import { readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../src/utils/logger.js';
+import { validateAddresses } from '../src/utils/address.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -61,7 +62,7 @@ function parseAddresses(content, format) {
         const textLines = content.split('\n');
         for (const line of textLines) {
           const trimmed = line.trim();
-          if (trimmed && trimmed.length > 40) { // Polkadot addresses are ~48 chars
+          if (trimmed) {
             addresses.push(trimmed);
           }
         }
@@ -72,11 +73,12 @@ function parseAddresses(content, format) {
     return [];
   }
   
-  // Filter valid Polkadot addresses
-  return addresses.filter(addr => {
-    // Basic validation - Polkadot addresses start with 1 and are 47-48 chars
-    return addr && addr.startsWith('1') && addr.length >= 47 && addr.length <= 48;
-  });
+  // Decode and checksum-verify; any SS58 prefix is accepted and re-encoded for the network
+  const { valid, invalid } = validateAddresses(addresses, { quiet: true });
+  for (const { address, reason } of invalid) {
+    logger.warn(`Rejected ${address}: ${reason}`);
+  }
+  return valid;
 }
 
 function detectFormat(content) {
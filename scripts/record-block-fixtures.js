@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+import { config } from 'dotenv';
+import { ChainBlockSource, recordBlockFixtures } from '../src/utils/blockSource.js';
+import { getChainApi, disconnectChainApis } from '../src/utils/chainApi.js';
+import { logger } from '../src/utils/logger.js';
+
+config();
+
+// Record blocks from RPC_ENDPOINT as JSON fixtures for ChainRewardCollector
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length < 3) {
+    console.log('Usage: node scripts/record-block-fixtures.js <from-block> <to-block> <fixture-dir>');
+    console.log('\nExample:');
+    console.log('  node scripts/record-block-fixtures.js 21000000 21000100 ./fixtures/blocks');
+    console.log('\nReplay with: CHAIN_FIXTURES_DIR=./fixtures/blocks REWARD_SOURCE=chain');
+    process.exit(1);
+  }
+
+  const fromBlock = parseInt(args[0]);
+  const toBlock = parseInt(args[1]);
+  const fixtureDir = args[2];
+
+  try {
+    const api = await getChainApi();
+    await recordBlockFixtures(new ChainBlockSource(api), fromBlock, toBlock, fixtureDir);
+    logger.success(`Fixtures saved to ${fixtureDir}`);
+  } catch (error) {
+    logger.error('Failed to record block fixtures:', error);
+    process.exitCode = 1;
+  } finally {
+    await disconnectChainApis();
+  }
+}
+
+main();
@@ -0,0 +1,103 @@
+import { readFileSync, existsSync } from 'fs';
+import { nowSeconds } from './utils/clock.js';
+import { getNetwork } from './utils/network.js';
+import { parseUnits } from './utils/units.js';
+import { validateAddresses } from './utils/address.js';
+import { trendBucket } from './analyzers/timeBuckets.js';
+
+// "1760000000", "2025-10-09" or "2025-10-09T12:00:00Z" → unix seconds
+function parseTime(value, name) {
+  const seconds = /^\d+$/.test(String(value)) ? parseInt(value) : Math.floor(Date.parse(value) / 1000);
+  if (!Number.isFinite(seconds)) {
+    throw new Error(`Invalid --${name} "${value}", expected unix seconds or an ISO date`);
+  }
+  return seconds;
+}
+
+function parseNumber(value, name) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid --${name} "${value}", expected a non-negative number`);
+  }
+  return number;
+}
+
+// "a,b" or a file with one address per line (or a JSON array)
+function parseReceivers(value) {
+  if (existsSync(value)) {
+    const content = readFileSync(value, 'utf8');
+    return content.trim().startsWith('[') ? JSON.parse(content) : content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parameters of one analysis: the window, which receivers are analyzed and the
+ * thresholds. They are resolved once (CLI options over env over defaults), passed from
+ * the tracker through the collectors, FlowAnalyzer and Reporter, and stored with the
+ * analysis as `params`, so a stored result says exactly how it was produced.
+ *
+ *   hours | start/end          window; end defaults to now, start to end - hours. Without
+ *                              any of them it is the tracker's rolling 24h window, which
+ *                              incremental collection serves from its event log
+ *   limit                      first n receivers of the tracked set (it is ranked)
+ *   receivers                  addresses to analyze instead of the tracked set
+ *   rapid-sell-hours           reward → deposit delay that makes a quick seller
+ *   large-flow                 deposit size (in tokens) flagged in coordinated selling
+ *   high-sell-pressure         sell pressure (%) that raises the alarm in reports
+ *   bucket                     trend granularity: 15m, 1h, 1d or era
+ */
+export function resolveAnalysisParams(options = {}) {
+  const end = options.end !== undefined ? parseTime(options.end, 'end') : nowSeconds();
+  const hours = options.hours !== undefined ? parseNumber(options.hours, 'hours') : null;
+  const start = options.start !== undefined
+    ? parseTime(options.start, 'start')
+    : end - (hours ?? 24) * 3600;
+  if (start >= end) {
+    throw new Error(`The analysis window is empty (start ${start} is not before end ${end})`);
+  }
+
+  let receivers = null;
+  if (options.receivers) {
+    const { valid, invalid } = validateAddresses(parseReceivers(options.receivers), { label: 'receivers', quiet: true });
+    if (invalid.length > 0) {
+      throw new Error(`Invalid receiver addresses: ${invalid.map(item => `${item.address} (${item.reason})`).join(', ')}`);
+    }
+    receivers = valid;
+  }
+
+  const bucket = options.bucket ?? process.env.TREND_BUCKET ?? '1h';
+  trendBucket(bucket); // Throws on an unknown granularity
+
+  const { decimals } = getNetwork();
+  return {
+    start,
+    end,
+    hours: (end - start) / 3600,
+    rolling: options.start === undefined && options.end === undefined && options.hours === undefined,
+    limit: options.limit !== undefined ? Math.floor(parseNumber(options.limit, 'limit')) : null,
+    receivers,
+    bucket,
+    thresholds: {
+      rapidSellHours: parseNumber(options['rapid-sell-hours'] ?? process.env.RAPID_SELL_TIME_HOURS ?? '1', 'rapid-sell-hours'),
+      largeFlow: parseUnits(String(options['large-flow'] ?? process.env.LARGE_FLOW_THRESHOLD_DOT ?? '10000'), decimals).toString(),
+      highSellPressure: parseNumber(options['high-sell-pressure'] ?? process.env.HIGH_SELL_PRESSURE_THRESHOLD ?? '40', 'high-sell-pressure')
+    }
+  };
+}
+
+// The tracked receivers an analysis covers. Requested addresses that aren't tracked are
+// analyzed anyway, without a type.
+export function selectReceivers(topReceivers, params) {
+  let selected = topReceivers;
+
+  if (params.receivers) {
+    const tracked = new Map(topReceivers.map(receiver => [receiver.address, receiver]));
+    selected = params.receivers.map(address => tracked.get(address) || { address });
+  }
+  if (params.limit !== null) {
+    selected = selected.slice(0, params.limit);
+  }
+
+  return selected;
+}
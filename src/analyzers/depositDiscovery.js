@@ -0,0 +1,248 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+import { getNetwork } from '../utils/network.js';
+import { nowSeconds } from '../utils/clock.js';
+import { toPlanck, parseUnits, sumPlanck } from '../utils/units.js';
+
+const median = values => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Finds exchange deposit addresses: per-customer accounts that receive a deposit and
+// soon after sweep their whole balance into one of the exchange's hot wallets. Senders
+// into the known wallets are scored on how they behave, and the likely ones are written
+// to data/labels/deposit-proposals.json for review. Nothing joins the label set until
+// a proposal is accepted.
+export class DepositDiscovery {
+  constructor({ exchangeDetector, transferCollector, dataDir }) {
+    this.exchangeDetector = exchangeDetector;
+    this.transferCollector = transferCollector;
+    this.filePath = join(dataDir, 'labels', 'deposit-proposals.json');
+    mkdirSync(join(dataDir, 'labels'), { recursive: true });
+
+    this.network = getNetwork();
+    this.windowDays = parseInt(process.env.DISCOVERY_WINDOW_DAYS || '7');
+    this.minSweeps = parseInt(process.env.DISCOVERY_MIN_SWEEPS || '2');
+    this.minConfidence = parseFloat(process.env.DISCOVERY_MIN_CONFIDENCE || '0.6');
+    this.maxCandidates = parseInt(process.env.DISCOVERY_MAX_CANDIDATES || '200');
+    // Hot wallets receive thousands of transfers a day; only the newest pages are scanned
+    this.maxWalletPages = parseInt(process.env.DISCOVERY_MAX_PAGES || '20');
+    // What a sweep may leave behind (existential deposit, fees) and still count as full
+    this.dust = parseUnits(process.env.DISCOVERY_DUST_DOT || '1', this.network.decimals);
+  }
+
+  async discover({ days = this.windowDays, exclude = [] } = {}) {
+    const endTime = nowSeconds();
+    const startTime = endTime - days * 86400;
+    const excluded = new Set(exclude);
+    const candidates = await this.findCandidates(startTime, endTime, excluded);
+
+    logger.info(`Scoring ${candidates.length} deposit address candidates`);
+    const scored = [];
+
+    for (const candidate of candidates) {
+      const score = await this.scoreCandidate(candidate, startTime, endTime);
+      if (score && score.confidence >= this.minConfidence) {
+        scored.push(score);
+      }
+    }
+
+    scored.sort((a, b) => b.confidence - a.confidence);
+    const proposals = this.saveProposals(scored, { startTime, endTime });
+    logger.info(`Proposed ${scored.length} deposit addresses (confidence >= ${this.minConfidence})`);
+
+    return { startTime, endTime, proposals: scored, pending: proposals.filter(p => p.status === 'pending').length };
+  }
+
+  // Unlabeled senders that reached the same exchange at least minSweeps times
+  async findCandidates(startTime, endTime, excluded) {
+    const bySender = new Map();
+
+    for (const [exchangeId, exchange] of this.exchangeDetector.exchangeAddresses) {
+      for (const wallet of exchange.addresses) {
+        const { transfers } = await this.transferCollector.fetchTransferPages(
+          wallet, startTime, endTime, 'to', { maxPages: this.maxWalletPages });
+
+        for (const transfer of transfers) {
+          if (!transfer.success || excluded.has(transfer.from) ||
+              this.exchangeDetector.getExchangeInfo(transfer.from)) {
+            continue;
+          }
+
+          const key = `${transfer.from}:${exchangeId}`;
+          const entry = bySender.get(key) || { address: transfer.from, exchangeId, exchangeName: exchange.name, sweeps: 0 };
+          entry.sweeps++;
+          bySender.set(key, entry);
+        }
+      }
+    }
+
+    // A sender sweeping into two exchanges is scored against the one it uses most
+    const best = new Map();
+    for (const entry of bySender.values()) {
+      if (entry.sweeps >= this.minSweeps && (best.get(entry.address)?.sweeps || 0) < entry.sweeps) {
+        best.set(entry.address, entry);
+      }
+    }
+
+    return Array.from(best.values())
+      .sort((a, b) => b.sweeps - a.sweeps)
+      .slice(0, this.maxCandidates);
+  }
+
+  // Replays the candidate's transfers in order: each sweep should empty whatever arrived
+  // since the previous one, go to the exchange and nowhere else, and follow the deposit quickly.
+  async scoreCandidate(candidate, startTime, endTime) {
+    const outgoing = await this.transferCollector.fetchTransferPages(candidate.address, startTime, endTime, 'from');
+    const incoming = await this.transferCollector.fetchTransferPages(candidate.address, startTime, endTime, 'to');
+    if (!outgoing.complete || !incoming.complete) {
+      logger.warn(`Incomplete transfer history for ${candidate.address}, skipped`);
+      return null;
+    }
+
+    const exchangeId = candidate.exchangeId;
+    const isSweep = transfer => this.exchangeDetector.getExchangeInfo(transfer.to, transfer.chain)?.id === exchangeId;
+
+    const events = [
+      ...incoming.transfers.filter(t => t.success).map(t => ({ ...t, direction: 'in' })),
+      ...outgoing.transfers.filter(t => t.success).map(t => ({ ...t, direction: 'out' }))
+    ].sort((a, b) => a.timestamp - b.timestamp || (a.direction === 'in' ? -1 : 1));
+
+    const sweeps = [];
+    let received = 0n;
+    let spent = 0n;
+    let firstArrival = null;
+
+    for (const event of events) {
+      if (event.direction === 'in') {
+        received += toPlanck(event.amount);
+        firstArrival = firstArrival ?? event.timestamp;
+        continue;
+      }
+
+      const cost = toPlanck(event.amount) + toPlanck(event.fee);
+      if (!isSweep(event)) {
+        spent += cost;
+        continue;
+      }
+
+      // Sweeping more than arrived means a balance from before (the window, or an earlier
+      // partial sweep) was included; that sweep can't be judged
+      const remaining = received - spent - cost;
+      sweeps.push({
+        amount: toPlanck(event.amount),
+        full: remaining < -this.dust ? null : remaining <= this.dust,
+        delayHours: firstArrival !== null ? (event.timestamp - firstArrival) / 3600 : null,
+        extrinsicHash: event.extrinsicHash,
+        timestamp: event.timestamp
+      });
+
+      received = 0n;
+      spent = 0n;
+      firstArrival = null;
+    }
+
+    if (sweeps.length < this.minSweeps) {
+      return null;
+    }
+
+    const outgoingCount = events.filter(event => event.direction === 'out').length;
+    const judged = sweeps.filter(sweep => sweep.full !== null);
+    const fullSweepRatio = judged.length > 0 ? judged.filter(sweep => sweep.full).length / judged.length : 0;
+    const exclusivity = sweeps.length / outgoingCount;
+    const delay = median(sweeps.map(sweep => sweep.delayHours).filter(hours => hours !== null));
+    // Exchanges sweep within hours; anything slower than a week looks like a person
+    const promptness = delay === null ? 0 : Math.max(0, Math.min(1, (168 - delay) / 144));
+    const repetition = Math.min(1, (sweeps.length - 1) / 4);
+
+    const confidence = 0.35 * exclusivity + 0.35 * fullSweepRatio + 0.2 * repetition + 0.1 * promptness;
+
+    return {
+      address: candidate.address,
+      exchangeId,
+      exchangeName: candidate.exchangeName,
+      confidence: Math.round(confidence * 100) / 100,
+      sweeps: sweeps.length,
+      sweptAmount: sumPlanck(sweeps.map(sweep => sweep.amount)).toString(),
+      fullSweepRatio: Math.round(fullSweepRatio * 100) / 100,
+      exclusivity: Math.round(exclusivity * 100) / 100,
+      medianSweepDelayHours: delay === null ? null : Math.round(delay * 10) / 10,
+      depositors: new Set(incoming.transfers.map(t => t.from)).size,
+      firstSweep: sweeps[0].timestamp,
+      lastSweep: sweeps[sweeps.length - 1].timestamp,
+      examples: sweeps.slice(-3).map(sweep => sweep.extrinsicHash)
+    };
+  }
+
+  loadProposals() {
+    if (!existsSync(this.filePath)) {
+      return { network: this.network.key, proposals: {} };
+    }
+
+    try {
+      return JSON.parse(readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      logger.error('Failed to load deposit proposals:', error.message);
+      return { network: this.network.key, proposals: {} };
+    }
+  }
+
+  // Reviewed proposals keep their decision; pending ones are refreshed with the new scores
+  saveProposals(scored, { startTime, endTime }) {
+    const data = this.loadProposals();
+
+    for (const proposal of scored) {
+      const existing = data.proposals[proposal.address];
+      if (existing && existing.status !== 'pending') {
+        continue;
+      }
+      data.proposals[proposal.address] = { ...proposal, status: 'pending', proposedAt: existing?.proposedAt ?? endTime };
+    }
+
+    data.network = this.network.key;
+    data.window = { start: startTime, end: endTime };
+    data.updatedAt = endTime;
+    writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+
+    return Object.values(data.proposals);
+  }
+
+  listProposals(status = 'pending') {
+    return Object.values(this.loadProposals().proposals)
+      .filter(proposal => !status || proposal.status === status)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  // Accepted addresses are added to the label store as their exchange's deposit addresses
+  review({ accept = [], reject = [], acceptAbove = null } = {}) {
+    const data = this.loadProposals();
+    const now = nowSeconds();
+    const accepted = [];
+    let rejected = 0;
+
+    for (const proposal of Object.values(data.proposals)) {
+      if (proposal.status !== 'pending') continue;
+
+      if (reject.includes(proposal.address)) {
+        Object.assign(proposal, { status: 'rejected', reviewedAt: now });
+        rejected++;
+      } else if (accept.includes(proposal.address) || (acceptAbove !== null && proposal.confidence >= acceptAbove)) {
+        Object.assign(proposal, { status: 'accepted', reviewedAt: now });
+        accepted.push(proposal);
+      }
+    }
+
+    if (accepted.length > 0) {
+      this.exchangeDetector.addDepositAddresses(accepted.map(({ address, exchangeId, confidence }) => ({ address, exchangeId, confidence })));
+    }
+
+    writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    logger.info(`Reviewed deposit proposals: ${accepted.length} accepted, ${rejected} rejected`);
+
+    return { accepted: accepted.length, rejected };
+  }
+}
@@ -0,0 +1,56 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { toPlanck, mulDiv } from '../utils/units.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CONFIG_DIR = join(__dirname, '../../config');
+
+// Weights are applied to planck amounts in basis points
+const WEIGHT_SCALE = 10000n;
+
+// Where labeled flows go (config/destinations.json): each label's category maps to a
+// destination category, and each category has a weight, the share of the rewards sent
+// there that counts as sell pressure. SELL_PRESSURE_WEIGHTS overrides weights, e.g.
+// "lending=0.5,bridge=1".
+export class DestinationTaxonomy {
+  constructor({ file = join(CONFIG_DIR, 'destinations.json'), weights = process.env.SELL_PRESSURE_WEIGHTS || '' } = {}) {
+    const config = JSON.parse(readFileSync(file, 'utf8'));
+    this.categories = config.categories;
+    this.aliases = config.aliases || {};
+
+    for (const pair of weights.split(',').map(item => item.trim()).filter(Boolean)) {
+      const [key, value] = pair.split('=').map(item => item.trim());
+      const weight = parseFloat(value);
+      if (!this.categories[key] || !(weight >= 0 && weight <= 1)) {
+        throw new Error(`Invalid SELL_PRESSURE_WEIGHTS entry "${pair}", expected <${Object.keys(this.categories).join('|')}>=<0-1>`);
+      }
+      this.categories[key] = { ...this.categories[key], weight };
+    }
+  }
+
+  keys() {
+    return Object.keys(this.categories);
+  }
+
+  // Label category (or exchange type) → destination category; unknown ones are "other"
+  categoryOf(exchange) {
+    const category = exchange?.category || exchange?.type;
+    if (this.categories[category]) return category;
+    return this.aliases[category] || 'other';
+  }
+
+  weight(category) {
+    return this.categories[category]?.weight ?? 0;
+  }
+
+  // Part of amount that counts as sell pressure
+  weigh(amount, category) {
+    return mulDiv(toPlanck(amount), BigInt(Math.round(this.weight(category) * 10000)), WEIGHT_SCALE);
+  }
+
+  // Recorded with every analysis, so a report shows the weights it was computed with
+  describe() {
+    return Object.fromEntries(Object.entries(this.categories).map(([key, { name, weight }]) => [key, { name, weight }]));
+  }
+}
@@ -2,60 +2,215 @@ import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../utils/logger.js';
+import { getNetwork } from '../utils/network.js';
+import { LabelStore } from '../utils/labelStore.js';
+import { normalizeAddress, validateAddresses, addressError } from '../utils/address.js';
+import { toPlanck, byAmountDesc, serializeAmounts } from '../utils/units.js';
+import { LotMatcher, delayBucket } from './lotMatcher.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const CONFIG_DIR = join(__dirname, '../../config');
+
+// "Binance Hot Wallet 2" → "binancehotwallet2"
+const normalizeName = name => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Exchange list addresses come from public lists nobody here has checked
+const EXCHANGE_LIST_CONFIDENCE = 0.5;
 
 export class ExchangeDetector {
-  constructor() {
+  constructor({ identityCollector = null } = {}) {
     this.exchangeAddresses = new Map();
     this.exchangeByAddress = new Map();
+    // Wallets that only exist on one chain (e.g. Asset Hub), keyed by chain
+    this.exchangeByChainAddress = new Map();
+    // Addresses not in the list can still be matched by a verified on-chain identity
+    // that the exchange list names: normalized identity name → exchange id
+    this.identityCollector = identityCollector;
+    this.exchangeByIdentity = new Map();
+    // Tracked receivers are never exchanges by identity (a validator named "Binance
+    // Staking" receives rewards, it doesn't take deposits)
+    this.trackedReceivers = new Set();
   }
 
   async loadExchangeAddresses() {
     try {
-      const configPath = join(__dirname, '../../config/exchanges.json');
-      const data = JSON.parse(readFileSync(configPath, 'utf8'));
+      // Each network profile names its own exchange list; testnets have none
+      const { exchanges, labels, key, name } = getNetwork();
+      if (!exchanges) {
+        logger.warn(`No exchange list configured for ${name}, exchange flows will be empty`);
+        return;
+      }
       
-      // Build address lookup maps
+      // The exchange list names the exchanges; their addresses live in the label store
+      const data = JSON.parse(readFileSync(join(CONFIG_DIR, exchanges), 'utf8'));
       for (const [exchangeId, exchangeData] of Object.entries(data)) {
-        this.exchangeAddresses.set(exchangeId, {
-          name: exchangeData.name,
-          type: exchangeData.type,
-          addresses: exchangeData.addresses,
-          note: exchangeData.note
-        });
-        
-        // Map each address to its exchange
-        for (const address of exchangeData.addresses) {
-          this.exchangeByAddress.set(address, {
-            id: exchangeId,
-            name: exchangeData.name,
-            type: exchangeData.type
-          });
+        this.exchangeAddresses.set(exchangeId, this.newExchange(exchangeData.name, exchangeData.type, exchangeData.note));
+        for (const identity of exchangeData.identities || []) {
+          this.exchangeByIdentity.set(normalizeName(identity), exchangeId);
         }
       }
       
-      logger.info(`Loaded ${this.exchangeByAddress.size} exchange addresses from ${this.exchangeAddresses.size} exchanges`);
+      // LABELS_FILE points runs (e.g. replays) at another label store
+      this.labelStore = new LabelStore(process.env.LABELS_FILE || join(CONFIG_DIR, labels || `labels-${key}.json`));
+      this.importExchangeList(data, exchanges);
+      this.labelStore.save();
+      
+      // Labels whose address doesn't decode never match anything; report them so they get fixed
+      const invalid = [];
+      for (const entry of this.labelStore.entries()) {
+        if (normalizeAddress(entry.address)) {
+          this.indexLabel(entry);
+        } else {
+          invalid.push(`${entry.address} (${entry.entity}: ${addressError(entry.address)})`);
+        }
+      }
+      if (invalid.length > 0) {
+        logger.warn(`Ignoring ${invalid.length} labels with invalid addresses: ${invalid.slice(0, 5).join(', ')}${invalid.length > 5 ? ', ...' : ''}`);
+      }
+      
+      const chainSpecific = Array.from(this.exchangeByChainAddress.values()).reduce((sum, map) => sum + map.size, 0);
+      logger.info(`Loaded ${this.exchangeByAddress.size} exchange addresses (+${chainSpecific} chain-specific) from ${this.exchangeAddresses.size} exchanges, label set v${this.labelStore.getVersion().version}`);
+      // Without any address every deposit is missed and sell pressure reads zero
+      if (this.exchangeByAddress.size + chainSpecific === 0) {
+        logger.warn(`No exchange addresses for ${name} in ${exchanges} or the label store, exchange flows and sell pressure will read zero; add wallets with labels import`);
+      }
     } catch (error) {
       logger.error('Failed to load exchange addresses:', error);
       throw error;
     }
   }
 
-  isExchangeAddress(address) {
-    return this.exchangeByAddress.has(address);
+  newExchange(name, type, note = undefined) {
+    return { name, type, addresses: [], chainAddresses: {}, depositAddresses: [], note };
+  }
+
+  // Addresses added to the exchange list by hand are imported into the label store once,
+  // unverified and at EXCHANGE_LIST_CONFIDENCE. Labels removed from the store stay
+  // removed, and invalid addresses are rejected.
+  // Validation here and in LabelStore.upsert is shared with the labels command.
+  importExchangeList(data, fileName) {
+    for (const [exchangeId, exchange] of Object.entries(data)) {
+      const seeds = [
+        ...(exchange.addresses || []).map(address => ({ address, kind: 'wallet' })),
+        ...(exchange.depositAddresses || []).map(address => ({ address, kind: 'deposit' })),
+        // Chain-specific wallets, e.g. "chainAddresses": { "assethub": [...] }
+        ...Object.entries(exchange.chainAddresses || {}).flatMap(([chain, addresses]) =>
+          addresses.map(address => ({ address, chain, kind: 'wallet' })))
+      ];
+
+      // Known addresses are skipped, except ones labeled for another exchange: upsert
+      // records those as conflicts
+      const unseen = seeds.filter(seed => !this.labelStore.has(seed.address, seed.chain) ||
+        (this.labelStore.get(seed.address, seed.chain)?.entity ?? exchangeId) !== exchangeId);
+      const { invalid } = validateAddresses(unseen.map(seed => seed.address), { label: `${exchange.name} addresses in ${fileName}` });
+      const rejected = new Set(invalid.map(item => item.address));
+      
+      for (const seed of unseen) {
+        if (!rejected.has(seed.address)) {
+          this.labelStore.upsert({
+            ...seed,
+            label: `${exchange.name} ${seed.kind === 'deposit' ? 'deposit address' : 'wallet'}`,
+            entity: exchangeId,
+            category: exchange.type,
+            source: 'exchange-list',
+            confidence: EXCHANGE_LIST_CONFIDENCE
+          }, { verified: false });
+        }
+      }
+    }
+  }
+
+  // Label → lookup maps. getExchangeInfo returns the label's metadata with the exchange.
+  indexLabel(entry) {
+    if (!this.exchangeAddresses.has(entry.entity)) {
+      this.exchangeAddresses.set(entry.entity, this.newExchange(entry.entity, entry.category));
+    }
+    const exchange = this.exchangeAddresses.get(entry.entity);
+
+    const info = {
+      id: entry.entity,
+      name: exchange.name,
+      type: entry.category,
+      label: entry.label,
+      category: entry.category,
+      kind: entry.kind,
+      source: entry.source,
+      confidence: entry.confidence,
+      firstVerified: entry.firstVerified,
+      lastVerified: entry.lastVerified
+    };
+
+    if (entry.chain) {
+      if (!this.exchangeByChainAddress.has(entry.chain)) {
+        this.exchangeByChainAddress.set(entry.chain, new Map());
+      }
+      this.exchangeByChainAddress.get(entry.chain).set(normalizeAddress(entry.address), { ...info, chain: entry.chain });
+      exchange.chainAddresses[entry.chain] = [...(exchange.chainAddresses[entry.chain] || []), entry.address];
+    } else {
+      this.exchangeByAddress.set(normalizeAddress(entry.address), info);
+      (entry.kind === 'deposit' ? exchange.depositAddresses : exchange.addresses).push(entry.address);
+    }
+  }
+
+  // Version of the label set in use, recorded with every analysis
+  getLabelSetVersion() {
+    return this.labelStore ? this.labelStore.getVersion() : null;
+  }
+
+  isExchangeAddress(address, chain = null) {
+    return this.getExchangeInfo(address, chain) !== null;
+  }
+
+  // Relay-chain addresses match on every chain: the same key controls the account there.
+  // Matched by public key, so any SS58 encoding of a labeled address is found.
+  getExchangeInfo(address, chain = null) {
+    const key = normalizeAddress(address);
+    if (!key) {
+      return null;
+    }
+    return this.exchangeByChainAddress.get(chain)?.get(key)
+      || this.exchangeByAddress.get(key)
+      || this.getExchangeByIdentity(key);
+  }
+
+  setTrackedReceivers(receivers) {
+    this.trackedReceivers = new Set(receivers.map(receiver => receiver.address));
   }
 
-  getExchangeInfo(address) {
-    return this.exchangeByAddress.get(address) || null;
+  // Anyone can name themselves "Binance", so only registrar-verified identities listed
+  // under an exchange's "identities" count, matched on the whole name. Uses cached
+  // identities; detectExchangeTransfers resolves them first.
+  getExchangeByIdentity(address) {
+    if (this.exchangeByIdentity.size === 0 || this.trackedReceivers.has(address)) {
+      return null;
+    }
+
+    const identity = this.identityCollector?.lookup(address);
+    if (!identity?.entity || !identity.verified) {
+      return null;
+    }
+
+    const id = this.exchangeByIdentity.get(normalizeName(identity.entity));
+    const exchange = id ? this.exchangeAddresses.get(id) : null;
+    if (!exchange) {
+      return null;
+    }
+    return { id, name: exchange.name, type: exchange.type, matchedBy: 'identity', source: 'identity', identity: identity.display };
   }
 
-  detectExchangeTransfers(transfers) {
+  async detectExchangeTransfers(transfers) {
     const exchangeTransfers = [];
     
+    if (this.identityCollector && this.exchangeByIdentity.size > 0) {
+      const counterparties = transfers.flatMap(transfer => [transfer.to, transfer.from]);
+      await this.identityCollector.resolveIdentities(
+        counterparties.filter(address => !this.exchangeByAddress.has(address) && !this.trackedReceivers.has(address))
+      );
+    }
+    
     for (const transfer of transfers) {
-      const toExchange = this.getExchangeInfo(transfer.to);
-      const fromExchange = this.getExchangeInfo(transfer.from);
+      const toExchange = this.getExchangeInfo(transfer.to, transfer.chain);
+      const fromExchange = this.getExchangeInfo(transfer.from, transfer.chain);
       
       if (toExchange) {
         exchangeTransfers.push({
@@ -82,28 +237,29 @@ export class ExchangeDetector {
 
   analyzeExchangeFlows(transfers) {
     const analysis = {
-      totalDeposits: 0,
-      totalWithdrawals: 0,
+      totalDeposits: 0n,
+      totalWithdrawals: 0n,
       depositCount: 0,
       withdrawalCount: 0,
       byExchange: {},
       largestDeposits: [],
       largestWithdrawals: [],
-      netFlow: 0
+      netFlow: 0n
     };
     
     // Process each transfer
     for (const transfer of transfers) {
       const exchangeName = transfer.exchange.name;
+      const amount = toPlanck(transfer.amount);
       
       // Initialize exchange stats if needed
       if (!analysis.byExchange[exchangeName]) {
         analysis.byExchange[exchangeName] = {
-          deposits: 0,
-          withdrawals: 0,
+          deposits: 0n,
+          withdrawals: 0n,
           depositCount: 0,
           withdrawalCount: 0,
-          netFlow: 0,
+          netFlow: 0n,
           type: transfer.exchange.type
         };
       }
@@ -111,9 +267,9 @@ export class ExchangeDetector {
       const exchangeStats = analysis.byExchange[exchangeName];
       
       if (transfer.type === 'deposit') {
-        analysis.totalDeposits += transfer.amount;
+        analysis.totalDeposits += amount;
         analysis.depositCount++;
-        exchangeStats.deposits += transfer.amount;
+        exchangeStats.deposits += amount;
         exchangeStats.depositCount++;
         
         // Track largest deposits
@@ -125,9 +281,9 @@ export class ExchangeDetector {
           timestamp: transfer.timestamp
         });
       } else if (transfer.type === 'withdrawal') {
-        analysis.totalWithdrawals += transfer.amount;
+        analysis.totalWithdrawals += amount;
         analysis.withdrawalCount++;
-        exchangeStats.withdrawals += transfer.amount;
+        exchangeStats.withdrawals += amount;
         exchangeStats.withdrawalCount++;
         
         // Track largest withdrawals
@@ -147,20 +303,23 @@ export class ExchangeDetector {
     analysis.netFlow = analysis.totalDeposits - analysis.totalWithdrawals;
     
     // Sort and limit largest transfers
-    analysis.largestDeposits.sort((a, b) => b.amount - a.amount);
-    analysis.largestWithdrawals.sort((a, b) => b.amount - a.amount);
+    analysis.largestDeposits.sort(byAmountDesc);
+    analysis.largestWithdrawals.sort(byAmountDesc);
     analysis.largestDeposits = analysis.largestDeposits.slice(0, 10);
     analysis.largestWithdrawals = analysis.largestWithdrawals.slice(0, 10);
     
-    return analysis;
+    return serializeAmounts(analysis);
   }
 
-  categorizeAddresses(addresses, transfers) {
+  // Sellers are categorized by the quickest time from a reward to the deposit that
+  // sold it (lot matching, LOT_MATCHING)
+  categorizeAddresses(addresses, transfers, rewards = []) {
     const categories = {
       quickSellers: [],      // Move to exchange <1hr after reward
       regularSellers: [],    // Move to exchange 1hr-24hr
       delayedSellers: [],    // Move to exchange 1-7 days
       holders: [],           // No exchange activity in 7+ days
+      principalMovers: [],   // Deposits covered by principal, not rewards
       exchangeAccounts: []   // Addresses that are exchanges
     };
     
@@ -176,40 +335,36 @@ export class ExchangeDetector {
       });
     }
     
+    const deposits = transfers.filter(transfer => transfer.type === 'deposit');
+    
     // Map transfers to addresses
-    for (const transfer of transfers) {
-      if (transfer.type === 'deposit') {
-        const addrInfo = addressMap.get(transfer.from);
-        if (addrInfo) {
-          addrInfo.exchangeTransfers.push(transfer);
-        }
+    for (const transfer of deposits) {
+      const addrInfo = addressMap.get(transfer.origin || transfer.from);
+      if (addrInfo) {
+        addrInfo.exchangeTransfers.push(transfer);
+      }
+    }
+    
+    // Seconds from reward to deposit of the quickest matched lot, per address
+    for (const match of new LotMatcher().match(rewards, deposits)) {
+      const addrInfo = addressMap.get(match.sender);
+      for (const lot of addrInfo ? match.lots : []) {
+        addrInfo.quickestTransfer = Math.min(addrInfo.quickestTransfer ?? Infinity, lot.delay);
       }
     }
     
     // Categorize each address
-    for (const [address, info] of addressMap) {
+    for (const info of addressMap.values()) {
       if (info.isExchange) {
         categories.exchangeAccounts.push(info);
-        continue;
-      }
-      
-      if (info.exchangeTransfers.length === 0) {
+      } else if (info.exchangeTransfers.length === 0) {
         categories.holders.push(info);
+      } else if (info.quickestTransfer === null) {
+        categories.principalMovers.push(info);
       } else {
-        // Find quickest transfer to exchange after reward
-        // This is simplified - in production you'd match rewards to transfers
-        const quickestTime = Math.min(...info.exchangeTransfers.map(t => t.timestamp));
-        const timeDiff = quickestTime - info.lastRewardBlock; // Simplified
-        
-        if (timeDiff < 3600) { // Less than 1 hour
-          categories.quickSellers.push(info);
-        } else if (timeDiff < 86400) { // Less than 24 hours
-          categories.regularSellers.push(info);
-        } else if (timeDiff < 604800) { // Less than 7 days
-          categories.delayedSellers.push(info);
-        } else {
-          categories.holders.push(info);
-        }
+        const bucket = delayBucket(info.quickestTransfer);
+        const category = { '<1h': 'quickSellers', '1-24h': 'regularSellers', '1-7d': 'delayedSellers' }[bucket] || 'holders';
+        categories[category].push(info);
       }
     }
     
@@ -222,9 +377,45 @@ export class ExchangeDetector {
       addresses.push({
         address,
         exchange: info.name,
-        type: info.type
+        type: info.type,
+        chain: null
       });
     }
+    for (const [chain, chainAddresses] of this.exchangeByChainAddress) {
+      for (const [address, info] of chainAddresses) {
+        addresses.push({
+          address,
+          exchange: info.name,
+          type: info.type,
+          chain
+        });
+      }
+    }
     return addresses;
   }
+
+  // Labels reviewed deposit addresses ([{ address, exchangeId, confidence }]) and starts
+  // matching them right away
+  addDepositAddresses(entries) {
+    for (const { address, exchangeId, confidence } of entries) {
+      const exchange = this.exchangeAddresses.get(exchangeId);
+      if (!exchange) {
+        logger.warn(`Unknown exchange ${exchangeId}, deposit address ${address} not added`);
+        continue;
+      }
+
+      this.labelStore.upsert({
+        address,
+        label: `${exchange.name} deposit address`,
+        entity: exchangeId,
+        category: exchange.type,
+        kind: 'deposit',
+        source: 'deposit-discovery',
+        confidence
+      });
+      this.indexLabel(this.labelStore.get(address));
+    }
+
+    this.labelStore.save();
+  }
 }
\ No newline at end of file
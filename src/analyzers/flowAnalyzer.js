@@ -1,40 +1,116 @@
 import { logger } from '../utils/logger.js';
+import { nowSeconds } from '../utils/clock.js';
+import { getNetworkTag } from '../utils/network.js';
+import { toPlanck, sumPlanck, percentOf, byAmountDesc, formatUnits, serializeAmounts } from '../utils/units.js';
+import { LotMatcher, DELAY_BUCKETS, delayBucket } from './lotMatcher.js';
+import { DestinationTaxonomy } from './destinations.js';
+import { aggregateNetFlows, netFlowSeries, NET_FLOW_RESOLUTIONS } from './netFlows.js';
+import { resolveAnalysisParams } from '../analysisParams.js';
+import { trendBucket, bucketStart, bucketRange } from './timeBuckets.js';
 
 export class FlowAnalyzer {
   constructor() {
-    this.rapidSellThreshold = parseInt(process.env.RAPID_SELL_TIME_HOURS || '1') * 3600;
-    this.largeFlowThreshold = parseFloat(process.env.LARGE_FLOW_THRESHOLD_DOT || '10000');
+    // Attributes deposits to reward lots (LOT_MATCHING=fifo|lifo)
+    this.lotMatcher = new LotMatcher();
+    // Destination categories and their sell pressure weights (SELL_PRESSURE_WEIGHTS)
+    this.destinations = new DestinationTaxonomy();
   }
 
-  analyzeFlows({ rewards, transfers, exchangeFlows, topReceivers }) {
-    const now = Math.floor(Date.now() / 1000);
+  analyzeFlows({ rewards, transfers, exchangeFlows, topReceivers, xcmTransfers = [], poolWithdrawals = [], stakingEvents = [], rewardCompleteness = {}, period = null, labelSet = null, exchangeWallets = null, params = null }) {
+    const now = nowSeconds();
+    // Window, receiver subset and thresholds; defaults to the last 24h (or the given period)
+    const analysisParams = params || resolveAnalysisParams(period ? { start: period.start, end: period.end } : {});
     const analysis = {
       timestamp: now,
-      period: {
-        start: now - 86400, // 24 hours ago
-        end: now
+      network: getNetworkTag(),
+      // Version of the exchange label set the flows were detected with
+      labelSet,
+      // Stored so the analysis can be reproduced
+      params: analysisParams,
+      // The parameters' window unless a period (e.g. an era's block range) is given
+      period: period || {
+        type: 'rolling',
+        start: analysisParams.start,
+        end: analysisParams.end
       },
       summary: {
-        totalRewards: 0,
-        totalTransfers: 0,
-        exchangeFlow: 0,
+        totalRewards: 0n,
+        // Rewards paid as Staked are bonded straight away and can't be sold without unbonding
+        liquidRewards: 0n,
+        stakedRewards: 0n,
+        totalTransfers: 0n,
+        exchangeFlow: 0n,
+        // Exchange flow matched to reward lots (capped at liquid rewards) vs principal
+        rewardsSold: 0n,
+        principalSold: 0n,
+        lotMatching: this.lotMatcher.method,
+        // Rewards sold, weighted by how much their destination category counts as selling
+        weightedRewardsSold: 0n,
+        sellPressureWeights: this.destinations.describe(),
+        // Flow, rewards sold and sell pressure per destination category (cex, dex, lending, ...)
+        byDestination: Object.fromEntries(this.destinations.keys().map(key => [key, {
+          flow: 0n, deposits: 0, rewardsSold: 0n, principalSold: 0n, weightedRewardsSold: 0n, sellPressurePercent: 0
+        }])),
+        directExchangeFlow: 0n,
+        indirectExchangeFlow: 0n,
+        exchangeFlowByChain: {},
+        xcmOutflow: 0n,
+        poolWithdrawals: 0n,
+        // Stake of tracked stashes: unbonded / rebonded / withdrawn / chilled during the
+        // period, and unbonded stake still locked that becomes withdrawable after the period
+        unbonded: 0n,
+        rebonded: 0n,
+        stakeWithdrawn: 0n,
+        chilled: 0,
+        futureSupply: 0n,
         sellPressurePercent: 0,
         quickSellers: 0,
         holders: 0,
-        averageTimeToExchange: 0
+        autoCompounding: 0,
+        liquidHolders: 0,
+        // Hours from reward to deposit over matched lots, weighted by amount
+        averageTimeToExchange: 0,
+        medianTimeToExchange: 0,
+        // All deposits into and withdrawals out of exchange wallets, not only by receivers
+        exchangeInflow: 0n,
+        exchangeOutflow: 0n,
+        netExchangeFlow: 0n,
+        // Share of all exchange inflows that was rewards sold by tracked receivers
+        rewardDrivenInflowPercent: 0,
+        // Nomination pool members vs validators and direct nominators
+        byReceiverType: {}
+      },
+      dataQuality: {
+        complete: true,
+        addressesChecked: 0,
+        partialAddresses: []
       },
       details: {
         rewardsByAddress: new Map(),
         transfersByAddress: new Map(),
         exchangeFlowsByAddress: new Map(),
-        sellPressureByHour: {},
+        xcmByDestination: {},
+        indirectPaths: [],
+        // Rewards sold per time-to-exchange bucket
+        timeToExchange: Object.fromEntries(DELAY_BUCKETS.map(bucket => [bucket.key, 0n])),
+        unlockSchedule: [],
+        topUnbonders: [],
+        // Per-exchange and hourly net flow of the exchange wallets (null if not collected)
+        netFlows: null,
         topSellers: [],
         topHolders: [],
+        // Receivers grouped by on-chain identity (sub-accounts under their parent)
+        entities: [],
         suspiciousPatterns: []
       },
+      // Series keyed by bucket start (unix seconds, UTC); era analyses align era buckets
+      // to the era's start
       trends: {
-        hourlyRewards: {},
-        hourlyExchangeFlows: {},
+        bucket: trendBucket(analysisParams.bucket, { anchor: period?.type === 'era' ? period.start : 0 }),
+        rewards: {},
+        liquidRewards: {},
+        exchangeFlows: {},
+        weightedRewardsSold: {},
         cumulativeSellPressure: []
       }
     };
@@ -45,120 +121,320 @@ export class FlowAnalyzer {
     // Analyze transfers
     this.analyzeTransfers(transfers, analysis);
     
+    // Analyze tokens leaving the relay chain via XCM
+    this.analyzeXcmTransfers(xcmTransfers, analysis);
+    
     // Analyze exchange flows
     this.analyzeExchangeFlows(exchangeFlows, analysis);
     
+    // Stake withdrawn from nomination pools
+    this.analyzePoolWithdrawals(poolWithdrawals, analysis);
+    
+    // Unbonding stake as a leading indicator of supply
+    this.analyzeUnbonding(stakingEvents, analysis);
+    
     // Calculate sell pressure
     this.calculateSellPressure(analysis);
     
+    // Everything entering and leaving exchange wallets, against reward-driven inflows
+    this.analyzeNetFlows(exchangeWallets, analysis);
+    
+    // Split sell pressure between pool members and direct stakers
+    this.analyzeReceiverTypes(analysis, topReceivers);
+    
+    // Name sellers and holders and group them by entity
+    this.analyzeEntities(analysis, topReceivers);
+    
     // Identify patterns
     this.identifyPatterns(analysis, topReceivers);
     
     // Generate trends
     this.generateTrends(analysis);
     
-    return analysis;
+    // Record where reward history was truncated
+    this.assessDataQuality(rewardCompleteness, analysis);
+    
+    // Maps don't survive JSON: stored analyses keep the per-address details as objects
+    for (const key of ['rewardsByAddress', 'transfersByAddress', 'exchangeFlowsByAddress']) {
+      analysis.details[key] = Object.fromEntries(analysis.details[key]);
+    }
+    
+    // Amounts were summed as BigInt; store them as planck strings
+    return serializeAmounts(analysis);
+  }
+
+  assessDataQuality(rewardCompleteness, analysis) {
+    const entries = Object.entries(rewardCompleteness);
+    
+    analysis.dataQuality.addressesChecked = entries.length;
+    analysis.dataQuality.partialAddresses = entries
+      .filter(([, completeness]) => !completeness.complete)
+      .map(([address, completeness]) => ({
+        address,
+        reason: completeness.reason,
+        events: completeness.events
+      }));
+    analysis.dataQuality.complete = analysis.dataQuality.partialAddresses.length === 0;
   }
 
   analyzeRewards(rewards, analysis) {
     for (const reward of rewards) {
-      analysis.summary.totalRewards += reward.amount;
+      // Rewards without a resolved destination are assumed liquid
+      const liquid = reward.liquid !== false;
+      const amount = toPlanck(reward.amount);
+      
+      analysis.summary.totalRewards += amount;
+      analysis.summary[liquid ? 'liquidRewards' : 'stakedRewards'] += amount;
       
       // Track by address
       const addrRewards = analysis.details.rewardsByAddress.get(reward.address) || {
-        total: 0,
+        total: 0n,
+        liquid: 0n,
+        staked: 0n,
         count: 0,
         rewards: []
       };
-      addrRewards.total += reward.amount;
+      addrRewards.total += amount;
+      addrRewards[liquid ? 'liquid' : 'staked'] += amount;
       addrRewards.count++;
       addrRewards.rewards.push(reward);
       analysis.details.rewardsByAddress.set(reward.address, addrRewards);
       
-      // Track hourly
-      const hour = new Date(reward.timestamp * 1000).getHours();
-      analysis.trends.hourlyRewards[hour] = (analysis.trends.hourlyRewards[hour] || 0) + reward.amount;
+      const bucket = bucketStart(reward.timestamp, analysis.trends.bucket);
+      analysis.trends.rewards[bucket] = (analysis.trends.rewards[bucket] || 0n) + amount;
+      if (liquid) {
+        analysis.trends.liquidRewards[bucket] = (analysis.trends.liquidRewards[bucket] || 0n) + amount;
+      }
     }
   }
 
   analyzeTransfers(transfers, analysis) {
     for (const transfer of transfers) {
-      analysis.summary.totalTransfers += transfer.amount;
+      const amount = toPlanck(transfer.amount);
+      analysis.summary.totalTransfers += amount;
+      
+      // Transfers followed across XCM are attributed to the relay-chain sender
+      const sender = transfer.origin || transfer.from;
       
       // Track by address
-      const addrTransfers = analysis.details.transfersByAddress.get(transfer.from) || {
-        total: 0,
+      const addrTransfers = analysis.details.transfersByAddress.get(sender) || {
+        total: 0n,
         count: 0,
         transfers: []
       };
-      addrTransfers.total += transfer.amount;
+      addrTransfers.total += amount;
       addrTransfers.count++;
       addrTransfers.transfers.push(transfer);
-      analysis.details.transfersByAddress.set(transfer.from, addrTransfers);
+      analysis.details.transfersByAddress.set(sender, addrTransfers);
     }
   }
 
-  analyzeExchangeFlows(exchangeFlows, analysis) {
-    const timeToExchange = [];
+  analyzeXcmTransfers(xcmTransfers, analysis) {
+    for (const xcm of xcmTransfers) {
+      const amount = toPlanck(xcm.amount);
+      analysis.summary.xcmOutflow += amount;
+      
+      const destination = analysis.details.xcmByDestination[xcm.destChain] || { amount: 0n, count: 0 };
+      destination.amount += amount;
+      destination.count++;
+      analysis.details.xcmByDestination[xcm.destChain] = destination;
+    }
+  }
+
+  analyzePoolWithdrawals(poolWithdrawals, analysis) {
+    for (const withdrawal of poolWithdrawals) {
+      analysis.summary.poolWithdrawals += toPlanck(withdrawal.amount);
+    }
+  }
+
+  analyzeUnbonding(stakingEvents, analysis) {
+    const { start, end } = analysis.period;
+    const chilled = new Set();
+    const pendingByDay = new Map();
+    const pendingByAddress = new Map();
+    // Unbond chunks per stash still unlocking, oldest first
+    const chunksByAddress = new Map();
     
-    for (const flow of exchangeFlows) {
-      if (flow.type === 'deposit') {
-        analysis.summary.exchangeFlow += flow.amount;
-        
-        // Track by address
-        const addrFlows = analysis.details.exchangeFlowsByAddress.get(flow.from) || {
-          total: 0,
-          count: 0,
-          flows: [],
-          quickSell: false
-        };
-        addrFlows.total += flow.amount;
-        addrFlows.count++;
-        addrFlows.flows.push(flow);
-        
-        // Check if this is a quick sell
-        const rewardInfo = analysis.details.rewardsByAddress.get(flow.from);
-        if (rewardInfo && rewardInfo.rewards.length > 0) {
-          const lastReward = rewardInfo.rewards[rewardInfo.rewards.length - 1];
-          const timeDiff = flow.timestamp - lastReward.timestamp;
-          
-          if (timeDiff < this.rapidSellThreshold) {
-            addrFlows.quickSell = true;
-            analysis.summary.quickSellers++;
-          }
-          
-          timeToExchange.push(timeDiff);
+    const ordered = [...stakingEvents].sort((a, b) => a.blockNumber - b.blockNumber || a.timestamp - b.timestamp);
+    for (const event of ordered) {
+      const amount = toPlanck(event.amount);
+      const inPeriod = event.timestamp >= start && event.timestamp <= end;
+      const chunks = chunksByAddress.get(event.address) || [];
+      chunksByAddress.set(event.address, chunks);
+      
+      if (event.type === 'staking_unbond') {
+        if (inPeriod) analysis.summary.unbonded += amount;
+        chunks.push({ amount, unlockAt: event.unlockAt });
+      } else if (event.type === 'staking_rebond') {
+        // staking.rebond takes back the newest chunks first; bond and bond_extra
+        // (staking_bond) add free balance and leave the chunks unlocking
+        let remaining = amount;
+        for (let i = chunks.length - 1; i >= 0 && remaining > 0n; i--) {
+          if (chunks[i].unlockAt <= event.timestamp) continue;
+          const taken = chunks[i].amount < remaining ? chunks[i].amount : remaining;
+          chunks[i].amount -= taken;
+          remaining -= taken;
+          if (inPeriod) analysis.summary.rebonded += taken;
         }
+      } else if (event.type === 'staking_withdrawal' && inPeriod) {
+        analysis.summary.stakeWithdrawn += amount;
+      } else if (event.type === 'staking_chill' && inPeriod) {
+        chilled.add(event.address);
+      }
+    }
+    
+    // Still locked at the end of the period: projected onto its unlock day (UTC)
+    for (const [address, chunks] of chunksByAddress) {
+      for (const chunk of chunks) {
+        if (chunk.unlockAt <= end || chunk.amount === 0n) continue;
         
-        analysis.details.exchangeFlowsByAddress.set(flow.from, addrFlows);
-        
-        // Track hourly exchange flows
-        const hour = new Date(flow.timestamp * 1000).getHours();
-        analysis.trends.hourlyExchangeFlows[hour] = 
-          (analysis.trends.hourlyExchangeFlows[hour] || 0) + flow.amount;
+        const day = new Date(chunk.unlockAt * 1000).toISOString().slice(0, 10);
+        const entry = pendingByDay.get(day) || { date: day, amount: 0n, count: 0 };
+        entry.amount += chunk.amount;
+        entry.count++;
+        pendingByDay.set(day, entry);
+        pendingByAddress.set(address, (pendingByAddress.get(address) || 0n) + chunk.amount);
+        analysis.summary.futureSupply += chunk.amount;
+      }
+    }
+    
+    analysis.summary.chilled = chilled.size;
+    analysis.details.unlockSchedule = Array.from(pendingByDay.values())
+      .sort((a, b) => a.date.localeCompare(b.date));
+    analysis.details.topUnbonders = Array.from(pendingByAddress, ([address, amount]) => ({ address, amount }))
+      .sort(byAmountDesc)
+      .slice(0, 10);
+  }
+
+  analyzeExchangeFlows(exchangeFlows, analysis) {
+    const deposits = exchangeFlows.filter(flow => flow.type === 'deposit');
+    
+    for (const flow of deposits) {
+      const sender = flow.origin || flow.from;
+      const chain = flow.chain || analysis.network.key;
+      const amount = toPlanck(flow.amount);
+      const destination = analysis.summary.byDestination[this.destinations.categoryOf(flow.exchange)];
+      
+      analysis.summary.exchangeFlow += amount;
+      destination.flow += amount;
+      destination.deposits++;
+      analysis.summary.exchangeFlowByChain[chain] = (analysis.summary.exchangeFlowByChain[chain] || 0n) + amount;
+      
+      // Deposits reached through intermediate wallets are reported separately
+      if (flow.indirect) {
+        analysis.summary.indirectExchangeFlow += amount;
+        analysis.details.indirectPaths.push({
+          origin: sender,
+          exchange: flow.exchange.name,
+          amount: flow.amount,
+          hops: flow.hops,
+          path: flow.path
+        });
+      } else {
+        analysis.summary.directExchangeFlow += amount;
+      }
+      
+      // Track by address
+      const addrFlows = analysis.details.exchangeFlowsByAddress.get(sender) || {
+        total: 0n,
+        direct: 0n,
+        indirect: 0n,
+        rewardsSold: 0n,
+        principalSold: 0n,
+        weightedRewardsSold: 0n,
+        count: 0,
+        flows: [],
+        quickSell: false
+      };
+      addrFlows.total += amount;
+      addrFlows[flow.indirect ? 'indirect' : 'direct'] += amount;
+      addrFlows.count++;
+      addrFlows.flows.push(flow);
+      analysis.details.exchangeFlowsByAddress.set(sender, addrFlows);
+      
+      const bucket = bucketStart(flow.timestamp, analysis.trends.bucket);
+      analysis.trends.exchangeFlows[bucket] = (analysis.trends.exchangeFlows[bucket] || 0n) + amount;
+    }
+    
+    analysis.details.indirectPaths.sort(byAmountDesc);
+    
+    this.matchRewardLots(deposits, analysis);
+  }
+
+  // Splits every deposit into rewards sold and principal, and times each matched lot
+  matchRewardLots(deposits, analysis) {
+    const rewards = Array.from(analysis.details.rewardsByAddress.values()).flatMap(data => data.rewards);
+    const quickSellers = new Set();
+    const rapidSellSeconds = analysis.params.thresholds.rapidSellHours * 3600;
+    const lots = [];
+    
+    for (const match of this.lotMatcher.match(rewards, deposits)) {
+      const category = this.destinations.categoryOf(match.deposit.exchange);
+      const destination = analysis.summary.byDestination[category];
+      const weighted = this.destinations.weigh(match.fromRewards, category);
+      const addrFlows = analysis.details.exchangeFlowsByAddress.get(match.sender);
+      
+      addrFlows.rewardsSold += match.fromRewards;
+      addrFlows.principalSold += match.fromPrincipal;
+      addrFlows.weightedRewardsSold += weighted;
+      destination.rewardsSold += match.fromRewards;
+      destination.principalSold += match.fromPrincipal;
+      destination.weightedRewardsSold += weighted;
+      analysis.summary.rewardsSold += match.fromRewards;
+      analysis.summary.principalSold += match.fromPrincipal;
+      analysis.summary.weightedRewardsSold += weighted;
+      const bucket = bucketStart(match.deposit.timestamp, analysis.trends.bucket);
+      analysis.trends.weightedRewardsSold[bucket] = (analysis.trends.weightedRewardsSold[bucket] || 0n) + weighted;
+      
+      for (const lot of match.lots) {
+        lots.push(lot);
+        analysis.details.timeToExchange[delayBucket(lot.delay)] += lot.amount;
+        // Parking rewards in liquid staking within the hour isn't quick selling
+        if (lot.delay < rapidSellSeconds && this.destinations.weight(category) > 0) {
+          addrFlows.quickSell = true;
+          quickSellers.add(match.sender);
+        }
       }
     }
     
-    // Calculate average time to exchange
-    if (timeToExchange.length > 0) {
-      const avgTime = timeToExchange.reduce((a, b) => a + b, 0) / timeToExchange.length;
-      analysis.summary.averageTimeToExchange = avgTime / 3600; // Convert to hours
+    analysis.summary.quickSellers = quickSellers.size;
+    
+    const sold = sumPlanck(lots.map(lot => lot.amount));
+    if (sold > 0n) {
+      const weighted = lots.reduce((sum, lot) => sum + BigInt(lot.delay) * lot.amount, 0n);
+      analysis.summary.averageTimeToExchange = Number(weighted / sold) / 3600;
+      
+      // Delay by which half of the rewards sold had reached an exchange
+      let cumulative = 0n;
+      const median = [...lots].sort((a, b) => a.delay - b.delay).find(lot => {
+        cumulative += lot.amount;
+        return cumulative * 2n >= sold;
+      });
+      analysis.summary.medianTimeToExchange = median.delay / 3600;
     }
   }
 
   calculateSellPressure(analysis) {
-    if (analysis.summary.totalRewards > 0) {
-      analysis.summary.sellPressurePercent = 
-        (analysis.summary.exchangeFlow / analysis.summary.totalRewards) * 100;
+    // Sell pressure from inflation: the share of liquid rewards that reached an exchange,
+    // weighted by destination category. Principal deposited on top is reported
+    // separately, so this can't exceed 100%.
+    analysis.summary.sellPressurePercent = percentOf(analysis.summary.weightedRewardsSold, analysis.summary.liquidRewards);
+    
+    // Each category's share, so the breakdown stacks up to the total
+    for (const destination of Object.values(analysis.summary.byDestination)) {
+      destination.sellPressurePercent = percentOf(destination.weightedRewardsSold, analysis.summary.liquidRewards);
     }
     
-    // Calculate holders (addresses with rewards but no exchange activity)
-    const rewardAddresses = new Set(analysis.details.rewardsByAddress.keys());
-    const exchangeAddresses = new Set(analysis.details.exchangeFlowsByAddress.keys());
+    // Calculate holders (addresses that sold none of their rewards), split into
+    // auto-compounding (every reward restaked) and liquid but holding
+    const exchangeAddresses = new Set(Array.from(analysis.details.exchangeFlowsByAddress.entries())
+      .filter(([, data]) => data.rewardsSold > 0n)
+      .map(([address]) => address));
     
-    for (const addr of rewardAddresses) {
+    for (const [addr, data] of analysis.details.rewardsByAddress) {
       if (!exchangeAddresses.has(addr)) {
         analysis.summary.holders++;
+        analysis.summary[data.liquid > 0n ? 'liquidHolders' : 'autoCompounding']++;
       }
     }
     
@@ -167,10 +443,15 @@ export class FlowAnalyzer {
       .map(([address, data]) => ({
         address,
         amount: data.total,
+        direct: data.direct,
+        indirect: data.indirect,
+        rewardsSold: data.rewardsSold,
+        principalSold: data.principalSold,
+        weightedRewardsSold: data.weightedRewardsSold,
         count: data.count,
         quickSell: data.quickSell
       }))
-      .sort((a, b) => b.amount - a.amount)
+      .sort(byAmountDesc)
       .slice(0, 10);
     
     analysis.details.topSellers = sellers;
@@ -181,27 +462,138 @@ export class FlowAnalyzer {
       .map(([address, data]) => ({
         address,
         rewards: data.total,
-        count: data.count
+        liquid: data.liquid,
+        count: data.count,
+        compounding: data.liquid === 0n
       }))
-      .sort((a, b) => b.rewards - a.rewards)
+      .sort((a, b) => byAmountDesc({ amount: a.rewards }, { amount: b.rewards }))
       .slice(0, 10);
     
     analysis.details.topHolders = holders;
   }
 
+  analyzeNetFlows(exchangeWallets, analysis) {
+    if (!exchangeWallets) return;
+    
+    const { transfers, complete, wallets } = exchangeWallets;
+    const totals = aggregateNetFlows(transfers);
+    
+    analysis.summary.exchangeInflow = totals.deposits;
+    analysis.summary.exchangeOutflow = totals.withdrawals;
+    analysis.summary.netExchangeFlow = totals.net;
+    analysis.summary.rewardDrivenInflowPercent = percentOf(analysis.summary.rewardsSold, totals.deposits);
+    
+    analysis.details.netFlows = {
+      complete,
+      wallets,
+      byExchange: totals.byExchange,
+      hourly: netFlowSeries(transfers, NET_FLOW_RESOLUTIONS.hour)
+    };
+  }
+
+  analyzeReceiverTypes(analysis, topReceivers) {
+    const receiverTypes = new Map((topReceivers || []).map(receiver => [receiver.address, receiver.type]));
+    
+    // Receivers without a type (older receiver files) are classified by the rewards they got
+    const groupOf = (address) => {
+      const type = receiverTypes.get(address);
+      if (type) {
+        return type === 'pool_member' || type === 'pool' ? 'pool' : 'direct';
+      }
+      const rewards = analysis.details.rewardsByAddress.get(address)?.rewards || [];
+      return rewards.length > 0 && rewards.every(reward => reward.type === 'pool_reward') ? 'pool' : 'direct';
+    };
+    
+    const groups = {};
+    const groupFor = (name) => {
+      groups[name] = groups[name] || { rewards: 0n, liquidRewards: 0n, exchangeFlow: 0n, rewardsSold: 0n, weightedRewardsSold: 0n, receivers: 0, sellers: 0, sellPressurePercent: 0 };
+      return groups[name];
+    };
+    
+    for (const [address, data] of analysis.details.rewardsByAddress) {
+      const group = groupFor(groupOf(address));
+      group.rewards += data.total;
+      group.liquidRewards += data.liquid;
+      group.receivers++;
+    }
+    
+    for (const [address, data] of analysis.details.exchangeFlowsByAddress) {
+      const group = groupFor(groupOf(address));
+      group.exchangeFlow += data.total;
+      group.rewardsSold += data.rewardsSold;
+      group.weightedRewardsSold += data.weightedRewardsSold;
+      group.sellers++;
+    }
+    
+    for (const group of Object.values(groups)) {
+      group.sellPressurePercent = percentOf(group.weightedRewardsSold, group.liquidRewards);
+    }
+    
+    analysis.summary.byReceiverType = groups;
+  }
+
+  analyzeEntities(analysis, topReceivers) {
+    const receivers = new Map((topReceivers || []).map(receiver => [receiver.address, receiver]));
+    
+    for (const item of [...analysis.details.topSellers, ...analysis.details.topHolders]) {
+      const receiver = receivers.get(item.address);
+      item.identity = receiver?.identity ?? null;
+      item.entity = receiver?.entity ?? null;
+    }
+    
+    const entities = new Map();
+    const entityFor = (address) => {
+      const name = receivers.get(address)?.entity;
+      if (!name) return null;
+      if (!entities.has(name)) {
+        entities.set(name, { entity: name, addresses: new Set(), rewards: 0n, liquidRewards: 0n, exchangeFlow: 0n, rewardsSold: 0n, weightedRewardsSold: 0n });
+      }
+      const entity = entities.get(name);
+      entity.addresses.add(address);
+      return entity;
+    };
+    
+    for (const [address, data] of analysis.details.rewardsByAddress) {
+      const entity = entityFor(address);
+      if (entity) {
+        entity.rewards += data.total;
+        entity.liquidRewards += data.liquid;
+      }
+    }
+    
+    for (const [address, data] of analysis.details.exchangeFlowsByAddress) {
+      const entity = entityFor(address);
+      if (entity) {
+        entity.exchangeFlow += data.total;
+        entity.rewardsSold += data.rewardsSold;
+        entity.weightedRewardsSold += data.weightedRewardsSold;
+      }
+    }
+    
+    analysis.details.entities = Array.from(entities.values())
+      .map(entity => ({
+        ...entity,
+        addresses: entity.addresses.size,
+        sellPressurePercent: percentOf(entity.weightedRewardsSold, entity.liquidRewards)
+      }))
+      .sort((a, b) => byAmountDesc({ amount: a.exchangeFlow }, { amount: b.exchangeFlow })
+        || byAmountDesc({ amount: a.rewards }, { amount: b.rewards }));
+  }
+
   identifyPatterns(analysis, topReceivers) {
     const patterns = [];
     
     // Pattern 1: Coordinated selling (multiple large sellers in same time window)
-    const largeSellersByHour = {};
+    const largeSellersByBucket = {};
+    const largeFlow = toPlanck(analysis.params.thresholds.largeFlow);
     for (const [address, flows] of analysis.details.exchangeFlowsByAddress) {
       for (const flow of flows.flows) {
-        if (flow.amount > this.largeFlowThreshold) {
-          const hour = new Date(flow.timestamp * 1000).getHours();
-          if (!largeSellersByHour[hour]) {
-            largeSellersByHour[hour] = [];
+        if (toPlanck(flow.amount) > largeFlow) {
+          const bucket = bucketStart(flow.timestamp, analysis.trends.bucket);
+          if (!largeSellersByBucket[bucket]) {
+            largeSellersByBucket[bucket] = [];
           }
-          largeSellersByHour[hour].push({
+          largeSellersByBucket[bucket].push({
             address,
             amount: flow.amount,
             exchange: flow.exchange.name
@@ -210,12 +602,13 @@ export class FlowAnalyzer {
       }
     }
     
-    for (const [hour, sellers] of Object.entries(largeSellersByHour)) {
+    const { granularity } = analysis.trends.bucket;
+    for (const [bucket, sellers] of Object.entries(largeSellersByBucket)) {
       if (sellers.length >= 3) {
         patterns.push({
           type: 'coordinated_selling',
           severity: 'high',
-          description: `${sellers.length} large sellers moved ${sellers.reduce((sum, s) => sum + s.amount, 0).toLocaleString()} DOT to exchanges in hour ${hour}`,
+          description: `${sellers.length} large sellers moved ${formatUnits(sumPlanck(sellers.map(s => s.amount)), analysis.network.decimals)} ${analysis.network.symbol} to exchanges in the ${granularity} from ${new Date(bucket * 1000).toISOString().slice(0, 16).replace('T', ' ')} UTC`,
           details: sellers
         });
       }
@@ -229,6 +622,7 @@ export class FlowAnalyzer {
         description: `Sell pressure at ${analysis.summary.sellPressurePercent.toFixed(1)}% - significantly above normal`,
         details: {
           totalRewards: analysis.summary.totalRewards,
+          liquidRewards: analysis.summary.liquidRewards,
           exchangeFlow: analysis.summary.exchangeFlow
         }
       });
@@ -239,7 +633,7 @@ export class FlowAnalyzer {
       patterns.push({
         type: 'rapid_selling',
         severity: 'medium',
-        description: `${analysis.summary.quickSellers} addresses moved rewards to exchanges within 1 hour`,
+        description: `${analysis.summary.quickSellers} addresses moved rewards to exchanges within ${analysis.params.thresholds.rapidSellHours} ${analysis.params.thresholds.rapidSellHours === 1 ? 'hour' : 'hours'}`,
         details: {
           quickSellers: analysis.summary.quickSellers,
           averageTimeToExchange: analysis.summary.averageTimeToExchange
@@ -250,22 +644,23 @@ export class FlowAnalyzer {
     analysis.details.suspiciousPatterns = patterns;
   }
 
+  // Sell pressure accumulated bucket by bucket over the window, empty buckets included,
+  // so the last point is the summary's sell pressure
   generateTrends(analysis) {
-    // Calculate cumulative sell pressure over 24 hours
-    const hours = Array.from({ length: 24 }, (_, i) => i);
-    let cumulativeRewards = 0;
-    let cumulativeExchange = 0;
-    
-    for (const hour of hours) {
-      cumulativeRewards += analysis.trends.hourlyRewards[hour] || 0;
-      cumulativeExchange += analysis.trends.hourlyExchangeFlows[hour] || 0;
+    const { trends, period } = analysis;
+    let cumulativeRewards = 0n;
+    let cumulativeSold = 0n;
+    
+    for (const start of bucketRange(period.start, period.end, trends.bucket)) {
+      cumulativeRewards += trends.liquidRewards[start] || 0n;
+      cumulativeSold += trends.weightedRewardsSold[start] || 0n;
       
-      analysis.trends.cumulativeSellPressure.push({
-        hour,
+      trends.cumulativeSellPressure.push({
+        start,
         rewards: cumulativeRewards,
-        exchange: cumulativeExchange,
-        pressure: cumulativeRewards > 0 ? (cumulativeExchange / cumulativeRewards) * 100 : 0
+        sold: cumulativeSold,
+        pressure: percentOf(cumulativeSold, cumulativeRewards)
       });
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,132 @@
+import { logger } from '../utils/logger.js';
+import { getNetwork } from '../utils/network.js';
+import { toPlanck, parseUnits, sumPlanck, mulDiv } from '../utils/units.js';
+
+// Follows reward receivers' outgoing transfers through intermediate wallets and
+// attributes the share of each transfer that eventually reaches an exchange.
+export class FlowTracer {
+  constructor({ exchangeDetector, getCollector }) {
+    this.exchangeDetector = exchangeDetector;
+    this.getCollector = getCollector;
+
+    this.maxHops = parseInt(process.env.TRACE_MAX_HOPS || '2');
+    this.windowSeconds = parseInt(process.env.TRACE_WINDOW_HOURS || '72') * 3600;
+    this.outflowCache = new Map();
+    this.tracked = new Set();
+    this.network = getNetwork();
+
+    // Configured in tokens, compared in planck
+    this.minAmount = parseUnits(process.env.TRACE_MIN_AMOUNT_DOT || '1', this.network.decimals);
+  }
+
+  // Returns deposit records like ExchangeDetector.detectExchangeTransfers, marked indirect.
+  // Tracing stops at tracked receivers: their own transfers are already collected, so a
+  // deposit they make would otherwise be counted for them and again for the sender.
+  async traceIndirectFlows(transfers, endTime, receivers = []) {
+    if (this.maxHops < 2) {
+      return [];
+    }
+
+    this.outflowCache.clear();
+    this.tracked = new Set(receivers.map(receiver => receiver.address));
+    const indirect = [];
+
+    // Seeds: transfers from receivers that did not go straight to an exchange or to
+    // another tracked receiver
+    const seeds = transfers.filter(transfer =>
+      toPlanck(transfer.amount) >= this.minAmount &&
+      !this.tracked.has(transfer.to) &&
+      !this.exchangeDetector.getExchangeInfo(transfer.to, transfer.chain)
+    );
+
+    logger.info(`Tracing ${seeds.length} transfers up to ${this.maxHops} hops`);
+
+    for (const seed of seeds) {
+      const origin = seed.origin || seed.from;
+      await this.trace({
+        address: seed.to,
+        chain: seed.chain || this.network.key,
+        arrival: seed.timestamp,
+        amount: seed.amount,
+        path: [origin, seed.to],
+        origin,
+        firstTimestamp: seed.timestamp
+      }, endTime, indirect);
+    }
+
+    logger.info(`Traced ${indirect.length} indirect exchange deposits`);
+    return indirect;
+  }
+
+  async trace(hop, endTime, results) {
+    const hops = hop.path.length - 1;
+    if (hops >= this.maxHops || toPlanck(hop.amount) < this.minAmount) {
+      return;
+    }
+
+    const windowEnd = Math.min(hop.arrival + this.windowSeconds, endTime);
+    const outflows = (await this.getOutflows(hop.address, hop.chain, hop.arrival, endTime))
+      .filter(transfer => transfer.timestamp >= hop.arrival && transfer.timestamp <= windowEnd);
+
+    const totalOutflow = sumPlanck(outflows.map(transfer => transfer.amount));
+    if (totalOutflow === 0n) {
+      return;
+    }
+
+    // The traced amount is assumed to leave proportionally with everything else
+    // the intermediate sends; if it sends less than it received, all of it is ours
+    const fullShare = toPlanck(hop.amount) >= totalOutflow;
+
+    for (const outflow of outflows) {
+      if (hop.path.includes(outflow.to)) continue; // Cycles
+      if (this.tracked.has(outflow.to)) continue;
+
+      const attributed = fullShare
+        ? toPlanck(outflow.amount).toString()
+        : mulDiv(outflow.amount, hop.amount, totalOutflow).toString();
+      const exchange = this.exchangeDetector.getExchangeInfo(outflow.to, outflow.chain);
+
+      if (exchange) {
+        results.push({
+          ...outflow,
+          type: 'deposit',
+          exchange,
+          exchangeAddress: outflow.to,
+          amount: attributed,
+          originalAmount: outflow.amount,
+          origin: hop.origin,
+          path: [...hop.path, outflow.to],
+          hops: hops + 1,
+          firstTimestamp: hop.firstTimestamp,
+          indirect: true
+        });
+      } else {
+        await this.trace({
+          ...hop,
+          address: outflow.to,
+          chain: outflow.chain || hop.chain,
+          arrival: outflow.timestamp,
+          amount: attributed,
+          path: [...hop.path, outflow.to]
+        }, endTime, results);
+      }
+    }
+  }
+
+  // Outgoing transfers of an intermediate, fetched once per cycle from the earliest arrival
+  async getOutflows(address, chain, startTime, endTime) {
+    const key = `${chain}:${address}`;
+    const cached = this.outflowCache.get(key);
+
+    if (cached && cached.startTime <= startTime) {
+      return cached.transfers;
+    }
+
+    const collector = this.getCollector(chain);
+    const { transfers } = await collector.fetchTransferPages(address, startTime, endTime, 'from');
+    const nativeTransfers = transfers.filter(transfer => !transfer.asset || transfer.asset === this.network.symbol);
+
+    this.outflowCache.set(key, { startTime, transfers: nativeTransfers });
+    return nativeTransfers;
+  }
+}
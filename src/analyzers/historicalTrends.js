@@ -0,0 +1,97 @@
+import { toPlanck, percentOf } from '../utils/units.js';
+
+// Metrics compared with history; amounts are planck, the others plain numbers
+export const TREND_METRICS = {
+  sellPressurePercent: { amount: false },
+  exchangeFlow: { amount: true },
+  quickSellers: { amount: false }
+};
+
+// Changes smaller than this (percent of the baseline) are stable
+const STABLE_CHANGE_PERCENT = 10;
+
+// A stored analysis counts as the previous day when it ended within this of 24h earlier
+const PREVIOUS_DAY_TOLERANCE = 6 * 3600;
+
+const dayOf = seconds => new Date(seconds * 1000).toISOString().split('T')[0];
+
+// Window length and receiver selection; only analyses that agree on both are comparable.
+// Analyses stored before parameters were recorded covered every tracked receiver.
+function comparisonKey(analysis) {
+  const { period, params, network } = analysis;
+  return JSON.stringify([
+    network?.key || 'polkadot',
+    period.type === 'era' ? 'era' : Math.round((period.end - period.start) / 3600),
+    params?.limit ?? null,
+    params?.receivers ?? null
+  ]);
+}
+
+function mean(values, amount) {
+  if (amount) {
+    return values.reduce((sum, value) => sum + toPlanck(value), 0n) / BigInt(values.length);
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// current against baseline → { value, delta, percentChange, direction }; percentChange is
+// null when the baseline is zero
+function compare(current, baseline, amount) {
+  const delta = amount ? toPlanck(current) - toPlanck(baseline) : current - baseline;
+  const zero = amount ? toPlanck(baseline) === 0n : baseline === 0;
+  const percentChange = zero ? null : amount ? percentOf(delta, baseline) : Math.round((delta / baseline) * 10000) / 100;
+
+  let direction = 'stable';
+  if (percentChange === null ? delta !== 0 && delta !== 0n : Math.abs(percentChange) >= STABLE_CHANGE_PERCENT) {
+    direction = delta > 0 ? 'increasing' : 'decreasing';
+  }
+
+  return {
+    value: amount ? baseline.toString() : Math.round(baseline * 100) / 100,
+    delta: amount ? delta.toString() : Math.round(delta * 100) / 100,
+    percentChange,
+    direction
+  };
+}
+
+// Compares an analysis with the stored analyses before it: the one that ended a day
+// earlier, and the averages over the last 7 and 30 days. Averages take one analysis per
+// UTC day (the last), so hourly tracking doesn't weigh some days more than others.
+// → { previousDay, avg7d, avg30d, metrics } where each baseline is { end, samples } or
+// null and metrics[name] = { current, previousDay, avg7d, avg30d } comparisons.
+export function compareWithHistory(analysis, history) {
+  const key = comparisonKey(analysis);
+  const end = analysis.period.end;
+  const comparable = history
+    .filter(item => item.period.end < end && comparisonKey(item) === key)
+    .sort((a, b) => a.period.end - b.period.end);
+
+  const target = end - 86400;
+  const previousDay = comparable
+    .filter(item => Math.abs(item.period.end - target) <= PREVIOUS_DAY_TOLERANCE)
+    .sort((a, b) => Math.abs(a.period.end - target) - Math.abs(b.period.end - target))[0] || null;
+
+  const lastPerDay = new Map(comparable.map(item => [dayOf(item.period.end), item]));
+  const daily = Array.from(lastPerDay.values());
+  const within = days => daily.filter(item => item.period.end >= end - days * 86400);
+  const baselines = { previousDay: previousDay ? [previousDay] : [], avg7d: within(7), avg30d: within(30) };
+
+  const metrics = {};
+  for (const [name, { amount }] of Object.entries(TREND_METRICS)) {
+    const current = analysis.summary[name] ?? (amount ? '0' : 0);
+    metrics[name] = { current };
+    for (const [baseline, items] of Object.entries(baselines)) {
+      metrics[name][baseline] = items.length > 0
+        ? compare(current, mean(items.map(item => item.summary[name] ?? (amount ? '0' : 0)), amount), amount)
+        : null;
+    }
+  }
+
+  const describe = items => (items.length > 0 ? { end: items[items.length - 1].period.end, samples: items.length } : null);
+  return {
+    previousDay: describe(baselines.previousDay),
+    avg7d: describe(baselines.avg7d),
+    avg30d: describe(baselines.avg30d),
+    metrics
+  };
+}
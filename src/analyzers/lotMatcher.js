@@ -0,0 +1,71 @@
+import { toPlanck } from '../utils/units.js';
+
+const METHODS = ['fifo', 'lifo'];
+
+// Time-to-exchange buckets for matched reward lots, in seconds
+export const DELAY_BUCKETS = [
+  { key: '<1h', max: 3600 },
+  { key: '1-24h', max: 86400 },
+  { key: '1-7d', max: 7 * 86400 },
+  { key: '>7d', max: Infinity }
+];
+
+export function delayBucket(seconds) {
+  return DELAY_BUCKETS.find(bucket => seconds < bucket.max).key;
+}
+
+// Lot accounting per address: every liquid reward is a lot, and each exchange deposit
+// consumes the lots its sender had received by the time the tokens left. Lots are
+// taken oldest first (fifo) or newest first (lifo, LOT_MATCHING). Whatever a deposit
+// can't cover from reward lots is principal, so a whale moving stake isn't counted as
+// selling rewards, and rewards sold never exceed rewards received.
+export class LotMatcher {
+  constructor({ method = process.env.LOT_MATCHING || 'fifo' } = {}) {
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown LOT_MATCHING "${method}", expected one of: ${METHODS.join(', ')}`);
+    }
+    this.method = method;
+  }
+
+  // → one result per deposit: { deposit, sender, fromRewards, fromPrincipal, lots },
+  // where lots are [{ rewardTimestamp, amount, delay }] and delay is seconds from the
+  // reward to the deposit
+  match(rewards, deposits) {
+    const lotsByAddress = new Map();
+    for (const reward of rewards) {
+      if (reward.liquid === false) continue; // Restaked rewards can't be sold
+
+      const lots = lotsByAddress.get(reward.address) || [];
+      lots.push({ timestamp: reward.timestamp, remaining: toPlanck(reward.amount) });
+      lotsByAddress.set(reward.address, lots);
+    }
+    for (const lots of lotsByAddress.values()) {
+      lots.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Deposits in the order the tokens left the sender (traced ones left at the first hop)
+    const leftAt = deposit => deposit.firstTimestamp ?? deposit.timestamp;
+    const ordered = [...deposits].sort((a, b) => leftAt(a) - leftAt(b));
+
+    return ordered.map(deposit => {
+      const sender = deposit.origin || deposit.from;
+      const amount = toPlanck(deposit.amount);
+      const available = (lotsByAddress.get(sender) || [])
+        .filter(lot => lot.timestamp <= leftAt(deposit) && lot.remaining > 0n);
+      if (this.method === 'lifo') available.reverse();
+
+      let needed = amount;
+      const lots = [];
+      for (const lot of available) {
+        if (needed === 0n) break;
+
+        const taken = lot.remaining < needed ? lot.remaining : needed;
+        lot.remaining -= taken;
+        needed -= taken;
+        lots.push({ rewardTimestamp: lot.timestamp, amount: taken, delay: deposit.timestamp - lot.timestamp });
+      }
+
+      return { deposit, sender, fromRewards: amount - needed, fromPrincipal: needed, lots };
+    });
+  }
+}
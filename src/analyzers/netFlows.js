@@ -0,0 +1,47 @@
+import { toPlanck } from '../utils/units.js';
+
+// Bucket sizes of the persisted net flow series, in seconds
+export const NET_FLOW_RESOLUTIONS = { hour: 3600, day: 86400 };
+
+// Exchange wallet deposits and withdrawals (ExchangeWalletCollector records) → totals and
+// per-exchange deposits, withdrawals and net flow (deposits minus withdrawals), as BigInt
+export function aggregateNetFlows(transfers) {
+  const totals = { deposits: 0n, withdrawals: 0n, net: 0n, byExchange: {} };
+
+  for (const transfer of transfers) {
+    const amount = toPlanck(transfer.amount);
+    const id = transfer.exchange.id;
+    const exchange = totals.byExchange[id] = totals.byExchange[id] || {
+      name: transfer.exchange.name, deposits: 0n, withdrawals: 0n, net: 0n, depositCount: 0, withdrawalCount: 0
+    };
+
+    if (transfer.type === 'deposit') {
+      exchange.deposits += amount;
+      exchange.depositCount++;
+      totals.deposits += amount;
+    } else {
+      exchange.withdrawals += amount;
+      exchange.withdrawalCount++;
+      totals.withdrawals += amount;
+    }
+    exchange.net = exchange.deposits - exchange.withdrawals;
+  }
+
+  totals.net = totals.deposits - totals.withdrawals;
+  return totals;
+}
+
+// → [{ start, deposits, withdrawals, net, byExchange }] per bucket with activity, oldest first.
+// Buckets are aligned to the epoch, so they line up across cycles.
+export function netFlowSeries(transfers, bucketSeconds) {
+  const buckets = new Map();
+  for (const transfer of transfers) {
+    const start = Math.floor(transfer.timestamp / bucketSeconds) * bucketSeconds;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(transfer);
+  }
+
+  return Array.from(buckets.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([start, bucket]) => ({ start, ...aggregateNetFlows(bucket) }));
+}
@@ -0,0 +1,30 @@
+import { getNetwork } from '../utils/network.js';
+
+// Trend bucket granularities; an era bucket is one era long (the network's eraHours)
+export const TREND_GRANULARITIES = { '15m': 900, '1h': 3600, '1d': 86400, era: null };
+
+// → { granularity, seconds, anchor }. Buckets cover absolute UTC time and are keyed by
+// their start (unix seconds), so a multi-day window keeps its days apart. They are
+// aligned to the epoch, or to anchor, e.g. the start of an analyzed era, so that era
+// buckets fall on era boundaries.
+export function trendBucket(granularity = '1h', { anchor = 0 } = {}) {
+  if (!(granularity in TREND_GRANULARITIES)) {
+    throw new Error(`Unknown trend bucket "${granularity}", expected one of: ${Object.keys(TREND_GRANULARITIES).join(', ')}`);
+  }
+
+  const seconds = TREND_GRANULARITIES[granularity] ?? getNetwork().eraHours * 3600;
+  return { granularity, seconds, anchor: granularity === 'era' ? anchor : 0 };
+}
+
+export function bucketStart(timestamp, { seconds, anchor }) {
+  return anchor + Math.floor((timestamp - anchor) / seconds) * seconds;
+}
+
+// Start of every bucket touching [startTime, endTime), empty ones included, oldest first
+export function bucketRange(startTime, endTime, bucket) {
+  const starts = [];
+  for (let start = bucketStart(startTime, bucket); start < endTime; start += bucket.seconds) {
+    starts.push(start);
+  }
+  return starts;
+}
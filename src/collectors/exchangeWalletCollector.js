@@ -0,0 +1,93 @@
+import { EventLog, transferEventId } from '../utils/eventLog.js';
+import { logger } from '../utils/logger.js';
+import { getNetwork } from '../utils/network.js';
+import { nowSeconds } from '../utils/clock.js';
+
+// A window ending this long before now is in the past and is not fetched
+const CURRENT_WINDOW_TOLERANCE = 3600;
+
+// Transfers into and out of the known exchange wallets, from anyone. Deposits by tracked
+// receivers are only part of what reaches an exchange, and withdrawals are the other side
+// of its net flow. Records are kept in the raw event log (data/raw/exchange-wallets/)
+// so net flow series can be rebuilt over more than one cycle.
+export class ExchangeWalletCollector {
+  constructor({ exchangeDetector, getCollector, dataDir }) {
+    this.exchangeDetector = exchangeDetector;
+    // chain → TransferCollector for that chain (relay chain or an XCM destination)
+    this.getCollector = getCollector;
+    // A deposit and a withdrawal can be the same transfer (exchange to exchange)
+    this.log = new EventLog(dataDir, 'exchange-wallets', transfer => `${transfer.type}:${transferEventId(transfer)}`);
+    // Hot wallets move thousands of transfers a day; only the newest pages are read
+    this.maxPages = parseInt(process.env.EXCHANGE_WALLET_MAX_PAGES || '10');
+  }
+
+  // Hot wallets only: deposit addresses are swept into them, so reading both would count twice
+  wallets() {
+    const { key } = getNetwork();
+    return Array.from(this.exchangeDetector.exchangeAddresses.entries()).flatMap(([exchangeId, exchange]) => [
+      ...exchange.addresses.map(address => ({ address, chain: key, exchangeId })),
+      ...Object.entries(exchange.chainAddresses).flatMap(([chain, addresses]) =>
+        addresses.map(address => ({ address, chain, exchangeId })))
+    ]);
+  }
+
+  // → { transfers: deposit and withdrawal records in the window, complete, wallets }
+  // Wallet history is read newest first, so only a window ending now is fetched. An older
+  // one (e.g. a past era) is served from what earlier cycles logged and marked incomplete.
+  async collect(startTime, endTime) {
+    const wallets = this.wallets();
+    if (endTime < nowSeconds() - CURRENT_WINDOW_TOLERANCE) {
+      logger.warn(`Exchange wallet history is read newest first; the window ending ${new Date(endTime * 1000).toISOString()} is in the past, using only transfers logged by earlier cycles`);
+      return { transfers: this.readWindow(startTime, endTime), complete: false, wallets: wallets.length };
+    }
+
+    let complete = true;
+    let added = 0;
+
+    for (const wallet of wallets) {
+      const collector = this.getCollector(wallet.chain);
+      for (const direction of ['to', 'from']) {
+        const result = await collector.fetchTransferPages(
+          wallet.address, startTime, endTime, direction, { maxPages: this.maxPages });
+        complete = complete && result.complete;
+        added += this.log.append(result.transfers
+          .filter(transfer => transfer.success !== false)
+          .map(transfer => this.toFlow(transfer, wallet, direction))
+          .filter(Boolean));
+      }
+    }
+
+    if (!complete) {
+      logger.warn(`Exchange wallet history was cut at ${this.maxPages} pages for some wallets, net flows are understated`);
+    }
+    logger.info(`Collected ${added} new exchange wallet transfers from ${wallets.length} wallets`);
+
+    return { transfers: this.readWindow(startTime, endTime), complete, wallets: wallets.length };
+  }
+
+  readWindow(startTime, endTime) {
+    return this.log.readWindow(startTime, endTime);
+  }
+
+  // Transfers between two wallets of the same exchange (rebalancing) are internal. A sweep
+  // from one of its deposit addresses is inflow: deposit addresses are not read, so the
+  // sweep is where their deposits show up.
+  toFlow(transfer, wallet, direction) {
+    const counterparty = direction === 'to' ? transfer.from : transfer.to;
+    const exchange = this.exchangeDetector.getExchangeInfo(wallet.address, wallet.chain);
+    if (!exchange) {
+      return null;
+    }
+    const other = this.exchangeDetector.getExchangeInfo(counterparty, wallet.chain);
+    if (other?.id === exchange.id && other.kind !== 'deposit') {
+      return null;
+    }
+
+    return {
+      ...transfer,
+      type: direction === 'to' ? 'deposit' : 'withdrawal',
+      exchange: { id: exchange.id, name: exchange.name, type: exchange.type, category: exchange.category },
+      exchangeAddress: wallet.address
+    };
+  }
+}
@@ -0,0 +1,172 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { getChainApi } from '../utils/chainApi.js';
+import { getRecordingMode } from '../utils/recorder.js';
+import { getNetwork } from '../utils/network.js';
+import { logger } from '../utils/logger.js';
+import { nowSeconds } from '../utils/clock.js';
+
+// Judgements a registrar only gives after checking the identity
+const TRUSTED_JUDGEMENTS = new Set(['reasonable', 'knowngood']);
+
+// Identity Data ({ raw: '0x...' } as JSON) → text
+function dataToText(data) {
+  const raw = data?.raw ?? data?.Raw;
+  if (typeof raw !== 'string') {
+    return null;
+  }
+  const text = raw.startsWith('0x') ? Buffer.from(raw.slice(2), 'hex').toString('utf8') : raw;
+  return text.trim() || null;
+}
+
+function isTrusted(judgements) {
+  return (judgements || []).some(([, judgement]) => {
+    const kind = typeof judgement === 'string' ? judgement : Object.keys(judgement || {})[0];
+    return TRUSTED_JUDGEMENTS.has(String(kind).toLowerCase());
+  });
+}
+
+// Instances per data directory, so the tracker, detector and reporter share one cache
+const collectors = new Map();
+
+export function getIdentityCollector(dataDir) {
+  if (!collectors.has(dataDir)) {
+    collectors.set(dataDir, new IdentityCollector({ dataDir }));
+  }
+  return collectors.get(dataDir);
+}
+
+// Resolves on-chain identities (identity.identityOf, and superOf for sub-accounts) so
+// addresses can be shown and grouped by the entity behind them. Identities live on the
+// People chain; results are cached in data/receivers/identities.json for IDENTITY_CACHE_HOURS.
+export class IdentityCollector {
+  constructor({ dataDir }) {
+    this.filePath = join(dataDir, 'receivers', 'identities.json');
+    mkdirSync(join(dataDir, 'receivers'), { recursive: true });
+    this.maxAge = parseInt(process.env.IDENTITY_CACHE_HOURS || '168') * 3600;
+    this.batchSize = 100;
+    this.identities = this.load();
+  }
+
+  getEndpoint() {
+    const network = getNetwork();
+    return process.env.IDENTITY_RPC_ENDPOINT
+      || network.chains?.[network.identityChain]?.rpcEndpoint
+      || network.rpcEndpoint;
+  }
+
+  load() {
+    if (!existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      logger.error('Failed to load identity cache:', error.message);
+      return {};
+    }
+  }
+
+  save() {
+    writeFileSync(this.filePath, JSON.stringify(this.identities, null, 2));
+  }
+
+  // Cached identity only, for callers that can't wait on the chain
+  lookup(address) {
+    return this.identities[address] || null;
+  }
+
+  async resolveIdentities(addresses) {
+    const now = nowSeconds();
+    const stale = [...new Set(addresses)].filter(address =>
+      address && (!this.identities[address] || now - this.identities[address].resolvedAt > this.maxAge)
+    );
+
+    // Replayed runs stay offline and use whatever the cache holds
+    if (stale.length > 0 && getRecordingMode() !== 'replay') {
+      await this.fetchIdentities(stale, now);
+    }
+
+    return new Map(addresses
+      .filter(address => this.identities[address])
+      .map(address => [address, this.identities[address]]));
+  }
+
+  async fetchIdentities(addresses, now) {
+    logger.info(`Resolving identities for ${addresses.length} addresses`);
+
+    try {
+      const api = await getChainApi(this.getEndpoint());
+
+      for (let i = 0; i < addresses.length; i += this.batchSize) {
+        const batch = addresses.slice(i, i + this.batchSize);
+
+        // Sub-accounts point at their parent, whose identity names the entity
+        const supers = (await api.query.identity.superOf.multi(batch)).map(result => result.toJSON());
+        const parents = [...new Set(supers.filter(Boolean).map(([parent]) => parent))];
+        const registrations = await this.fetchRegistrations(api, [...batch, ...parents]);
+
+        batch.forEach((address, index) => {
+          const own = registrations.get(address);
+          const [parent, subData] = supers[index] || [];
+          const parentIdentity = parent ? registrations.get(parent) : null;
+          const subName = parent ? dataToText(subData) : null;
+
+          const entity = parentIdentity?.display || own?.display || null;
+          this.identities[address] = {
+            display: own?.display || (entity && subName ? `${entity}/${subName}` : entity),
+            entity,
+            parent: parent || null,
+            subName,
+            verified: parentIdentity ? parentIdentity.verified : own?.verified || false,
+            resolvedAt: now
+          };
+        });
+      }
+
+      this.save();
+    } catch (error) {
+      // Addresses keep their cached identity, if any
+      logger.error('Error resolving identities, using cached ones:', error.message);
+    }
+  }
+
+  async fetchRegistrations(api, addresses) {
+    const registrations = new Map();
+    const results = await api.query.identity.identityOf.multi(addresses);
+
+    results.forEach((result, index) => {
+      // Option<Registration>, or Option<(Registration, Option<Username>)> on newer runtimes
+      const json = result.toJSON();
+      const registration = Array.isArray(json) ? json[0] : json;
+      if (!registration?.info) return;
+
+      registrations.set(addresses[index], {
+        display: dataToText(registration.info.display),
+        verified: isTrusted(registration.judgements)
+      });
+    });
+
+    return registrations;
+  }
+
+  // Sets identity/entity on receiver records from the chain instead of Subscan's display names
+  async annotateReceivers(receivers) {
+    const identities = await this.resolveIdentities(receivers.map(receiver => receiver.address));
+
+    // Addresses that could not be resolved keep what they had
+    for (const receiver of receivers) {
+      const identity = identities.get(receiver.address);
+      if (identity) {
+        receiver.identity = identity.display;
+        receiver.entity = identity.entity;
+      }
+    }
+
+    const named = receivers.filter(receiver => receiver.identity).length;
+    logger.info(`Identities: ${named}/${receivers.length} receivers have an on-chain identity`);
+
+    return receivers;
+  }
+}
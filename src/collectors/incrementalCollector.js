@@ -0,0 +1,277 @@
+import { CursorStore } from '../utils/cursorStore.js';
+import { EventLog, rewardEventId, transferEventId, xcmEventId } from '../utils/eventLog.js';
+import { logger } from '../utils/logger.js';
+
+// Fetches only events newer than each address's cursor, appends them to the raw
+// event log and serves analysis windows from that log.
+export class IncrementalCollector {
+  constructor({ rewardSource, transferCollector, xcmCollector = null, poolCollector = null, unbondingCollector = null, dataDir }) {
+    this.rewardSource = rewardSource;
+    this.poolCollector = poolCollector;
+    this.unbondingCollector = unbondingCollector;
+    this.transferCollector = transferCollector;
+    this.xcmCollector = xcmCollector;
+    this.cursors = new CursorStore(dataDir);
+    this.rewardLog = new EventLog(dataDir, 'rewards', rewardEventId);
+    this.transferLog = new EventLog(dataDir, 'transfers', transferEventId);
+    this.xcmLog = new EventLog(dataDir, 'xcm', xcmEventId);
+    this.withdrawalLog = new EventLog(dataDir, 'pool-withdrawals', rewardEventId);
+    this.stakingLog = new EventLog(dataDir, 'staking-events', rewardEventId);
+    
+    // Re-read a little before each cursor to catch events Subscan indexed late
+    this.overlap = parseInt(process.env.CURSOR_OVERLAP_SECONDS || '600');
+    this.lastCompleteness = {};
+  }
+
+  async collect(addresses, startTime, endTime) {
+    this.lastCompleteness = {};
+    let newRewards = 0;
+    let newTransfers = 0;
+    let newXcm = 0;
+    let newWithdrawals = 0;
+    let newStakingEvents = 0;
+    
+    // Unbonds from the whole unbonding period are needed to project unlocks
+    const stakingStart = this.unbondingCollector
+      ? Math.min(startTime, endTime - this.unbondingCollector.unbondingSeconds)
+      : startTime;
+    
+    // Block scanning has one cursor for all addresses
+    const scansBlocks = typeof this.rewardSource.fetchRewardsInBlockRange === 'function';
+    if (scansBlocks) {
+      newRewards += await this.syncChainRewards(addresses, startTime);
+    }
+    
+    // Process in batches, checkpointing after each so a crash resumes where it stopped
+    const batchSize = 10;
+    for (let i = 0; i < addresses.length; i += batchSize) {
+      const batch = addresses.slice(i, i + batchSize);
+      
+      const counts = await Promise.all(batch.map(async (receiver) => {
+        const isPoolMember = receiver.type === 'pool_member' && this.poolCollector;
+        return {
+          rewards: scansBlocks ? 0 : await this.syncRewards(receiver, startTime, endTime),
+          transfers: await this.syncTransfers(receiver.address, startTime, endTime),
+          xcm: this.xcmCollector ? await this.syncXcm(receiver.address, startTime, endTime) : 0,
+          withdrawals: isPoolMember ? await this.syncWithdrawals(receiver, startTime, endTime) : 0,
+          stakingEvents: this.unbondingCollector && !isPoolMember
+            ? await this.syncStakingEvents(receiver.address, stakingStart, endTime)
+            : 0
+        };
+      }));
+      
+      for (const count of counts) {
+        newRewards += count.rewards;
+        newTransfers += count.transfers;
+        newXcm += count.xcm;
+        newWithdrawals += count.withdrawals;
+        newStakingEvents += count.stakingEvents;
+      }
+      
+      this.cursors.save();
+      logger.info(`Synced ${Math.min(i + batchSize, addresses.length)}/${addresses.length} addresses`);
+    }
+    
+    logger.info(`Collected ${newRewards} new rewards, ${newTransfers} new transfers, ${newXcm} new XCM transfers, ${newWithdrawals} new pool withdrawals and ${newStakingEvents} new unbond/withdraw/chill events`);
+    
+    const tracked = new Set(addresses.map(receiver => receiver.address));
+    const transfers = this.transferLog.readWindow(startTime, endTime, transfer => tracked.has(transfer.from));
+    const xcmTransfers = this.xcmLog.readWindow(startTime, endTime, xcm => tracked.has(xcm.from));
+    
+    // Destination-chain transfers depend on how much arrived, so they are re-followed each cycle
+    if (this.xcmCollector && xcmTransfers.length > 0) {
+      transfers.push(...await this.xcmCollector.followOnDestination(xcmTransfers, endTime));
+    }
+    
+    return {
+      rewards: this.rewardLog.readWindow(startTime, endTime, reward => tracked.has(reward.address)),
+      transfers,
+      xcmTransfers,
+      poolWithdrawals: this.withdrawalLog.readWindow(startTime, endTime, withdrawal => tracked.has(withdrawal.address)),
+      stakingEvents: this.stakingLog.readWindow(stakingStart, endTime, event => tracked.has(event.address)),
+      completeness: this.lastCompleteness
+    };
+  }
+
+  fetchStartFor(cursor, startTime) {
+    return cursor ? Math.max(startTime, cursor.timestamp - this.overlap) : startTime;
+  }
+
+  newestEvent(events) {
+    return events.reduce((newest, event) =>
+      (!newest || event.blockNumber > newest.blockNumber ? event : newest), null);
+  }
+
+  async syncRewards(receiver, startTime, endTime) {
+    const { address } = receiver;
+    const cursor = this.cursors.get('rewards', address);
+    const source = receiver.type === 'pool_member' && this.poolCollector ? this.poolCollector : this.rewardSource;
+    const result = await source.fetchRewardsForAddress(
+      address,
+      this.fetchStartFor(cursor, startTime),
+      endTime,
+      { afterBlock: cursor?.blockNumber || 0 }
+    );
+    
+    const added = this.rewardLog.append(result.rewards);
+    this.lastCompleteness[address] = result.completeness;
+    
+    // Only advance the cursor once the whole range was fetched
+    if (result.completeness.complete) {
+      const newest = this.newestEvent(result.rewards);
+      this.cursors.set('rewards', address, {
+        blockNumber: newest?.blockNumber ?? cursor?.blockNumber ?? 0,
+        eventId: newest?.eventId ?? cursor?.eventId ?? null,
+        timestamp: endTime
+      });
+    }
+    
+    return added;
+  }
+
+  async syncTransfers(address, startTime, endTime) {
+    const cursor = this.cursors.get('transfers', address);
+    const { transfers, complete } = await this.transferCollector.fetchTransferPages(
+      address,
+      this.fetchStartFor(cursor, startTime),
+      endTime,
+      'from'
+    );
+    
+    const added = this.transferLog.append(transfers);
+    
+    if (complete) {
+      const newest = this.newestEvent(transfers);
+      this.cursors.set('transfers', address, {
+        blockNumber: newest?.blockNumber ?? cursor?.blockNumber ?? 0,
+        eventId: newest?.eventId ?? cursor?.eventId ?? null,
+        timestamp: endTime
+      });
+    }
+    
+    return added;
+  }
+
+  async syncWithdrawals(member, startTime, endTime) {
+    const cursor = this.cursors.get('pool-withdrawals', member.address);
+    const { withdrawals, complete } = await this.poolCollector.fetchWithdrawalsForAddress(
+      member,
+      this.fetchStartFor(cursor, startTime),
+      endTime,
+      { afterBlock: cursor?.blockNumber || 0 }
+    );
+    
+    const added = this.withdrawalLog.append(withdrawals);
+    
+    if (complete) {
+      const newest = this.newestEvent(withdrawals);
+      this.cursors.set('pool-withdrawals', member.address, {
+        blockNumber: newest?.blockNumber ?? cursor?.blockNumber ?? 0,
+        eventId: newest?.eventId ?? cursor?.eventId ?? null,
+        timestamp: endTime
+      });
+    }
+    
+    return added;
+  }
+
+  async syncStakingEvents(address, startTime, endTime) {
+    const cursor = this.cursors.get('staking-events', address);
+    const { events, complete } = await this.unbondingCollector.fetchEventsForAddress(
+      address,
+      this.fetchStartFor(cursor, startTime),
+      endTime,
+      { afterBlock: cursor?.blockNumber || 0 }
+    );
+    
+    const added = this.stakingLog.append(events);
+    
+    if (complete) {
+      const newest = this.newestEvent(events);
+      this.cursors.set('staking-events', address, {
+        blockNumber: newest?.blockNumber ?? cursor?.blockNumber ?? 0,
+        eventId: newest?.eventId ?? cursor?.eventId ?? null,
+        timestamp: endTime
+      });
+    }
+    
+    return added;
+  }
+
+  async syncXcm(address, startTime, endTime) {
+    const cursor = this.cursors.get('xcm', address);
+    const { transfers, complete } = await this.xcmCollector.fetchOutgoingXcm(
+      address,
+      this.fetchStartFor(cursor, startTime),
+      endTime
+    );
+    
+    const added = this.xcmLog.append(transfers);
+    
+    if (complete) {
+      const newest = this.newestEvent(transfers);
+      this.cursors.set('xcm', address, {
+        blockNumber: newest?.blockNumber ?? cursor?.blockNumber ?? 0,
+        eventId: newest?.messageHash ?? cursor?.eventId ?? null,
+        timestamp: endTime
+      });
+    }
+    
+    return added;
+  }
+
+  // One block cursor covers every address it was scanned for (cursor.addresses). Receivers
+  // added since, e.g. by rank-receivers, are first backfilled from the window start up to
+  // the cursor, then all addresses are scanned from the cursor to the head.
+  async syncChainRewards(addresses, startTime) {
+    const cursor = this.cursors.get('chain-rewards', '*');
+    const source = await this.rewardSource.getBlockSource();
+    const toBlock = await source.getHeadNumber();
+    const covered = new Set(cursor?.addresses || []);
+    
+    let added = 0;
+    this.lastCompleteness = {};
+    
+    const uncovered = cursor ? addresses.filter(receiver => !covered.has(receiver.address)) : [];
+    if (uncovered.length > 0) {
+      const windowStart = await this.rewardSource.findBlockAtTimestamp(startTime);
+      const backfillTo = Math.min(cursor.blockNumber, toBlock);
+      if (windowStart <= backfillTo) {
+        logger.info(`Backfilling chain rewards of ${uncovered.length} new receivers from block ${windowStart}`);
+        added += this.rewardLog.append(
+          await this.rewardSource.fetchRewardsInBlockRange(uncovered, windowStart, backfillTo)
+        );
+        Object.assign(this.lastCompleteness, this.rewardSource.lastCompleteness);
+      }
+    }
+    
+    const fromBlock = cursor
+      ? cursor.blockNumber + 1
+      : await this.rewardSource.findBlockAtTimestamp(startTime);
+    
+    if (fromBlock <= toBlock) {
+      added += this.rewardLog.append(
+        await this.rewardSource.fetchRewardsInBlockRange(addresses, fromBlock, toBlock)
+      );
+      for (const [address, completeness] of Object.entries(this.rewardSource.lastCompleteness)) {
+        const backfill = this.lastCompleteness[address];
+        this.lastCompleteness[address] = backfill && !backfill.complete ? backfill : completeness;
+      }
+    }
+    
+    const allRead = Object.values(this.lastCompleteness).every(c => c.complete);
+    if (allRead && (fromBlock <= toBlock || uncovered.length > 0)) {
+      const blockNumber = Math.max(toBlock, cursor?.blockNumber ?? 0);
+      const { timestamp } = await source.getBlockMeta(blockNumber);
+      this.cursors.set('chain-rewards', '*', {
+        blockNumber,
+        eventId: null,
+        timestamp,
+        addresses: [...new Set([...covered, ...addresses.map(receiver => receiver.address)])]
+      });
+      this.cursors.save();
+    }
+    
+    return added;
+  }
+}
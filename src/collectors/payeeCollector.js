@@ -0,0 +1,225 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { getChainApi } from '../utils/chainApi.js';
+import { getRecordingMode, readFixture, writeFixture } from '../utils/recorder.js';
+import { getNetwork } from '../utils/network.js';
+import { normalizeAddress } from '../utils/address.js';
+import { logger } from '../utils/logger.js';
+
+// Destinations whose rewards land in a transferable balance
+const LIQUID_DESTINATIONS = new Set(['stash', 'controller', 'account', 'pool']);
+
+// RewardDestination as JSON ("Staked", { "account": "1..." }) or as the string an
+// event field / codec prints → { destination: 'staked' | 'stash' | ..., account }
+export function parseRewardDestination(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string' && value.startsWith('{')) {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (typeof parsed === 'string') {
+    return { destination: parsed.toLowerCase(), account: null };
+  }
+
+  const [kind, account] = Object.entries(parsed)[0] || [];
+  return kind ? { destination: kind.toLowerCase(), account: account || null } : null;
+}
+
+export function isLiquidDestination(destination) {
+  // Unknown destinations count as liquid, as before payees were resolved
+  return !destination || LIQUID_DESTINATIONS.has(destination);
+}
+
+// Resolves staking.payee for reward receivers at the block of each reward, since a
+// payee changed later must not relabel older rewards. Historical values never change,
+// so they are cached in data/receivers/payees.json without expiry (the newest
+// MAX_CACHED_BLOCKS per address). Queries are recorded and replayed like Subscan
+// requests (SUBSCAN_MODE), under the RPC endpoint's host.
+const MAX_CACHED_BLOCKS = 50;
+const PAYEE_QUERY = '/staking/payee';
+
+export class PayeeCollector {
+  constructor({ dataDir }) {
+    this.filePath = join(dataDir, 'receivers', 'payees.json');
+    mkdirSync(join(dataDir, 'receivers'), { recursive: true });
+    this.batchSize = 100;
+    this.payees = this.load();
+  }
+
+  // address → { <blockNumber>: { destination, account } }
+  load() {
+    if (!existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      const cached = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      // Entries of the current payee (with resolvedAt) were written before payees were
+      // read at the reward's block and are not reused
+      return Object.fromEntries(Object.entries(cached).filter(([, entry]) => entry.resolvedAt === undefined));
+    } catch (error) {
+      logger.error('Failed to load payee cache:', error.message);
+      return {};
+    }
+  }
+
+  save() {
+    for (const [address, blocks] of Object.entries(this.payees)) {
+      const kept = Object.keys(blocks).map(Number).sort((a, b) => b - a).slice(0, MAX_CACHED_BLOCKS);
+      this.payees[address] = Object.fromEntries(kept.map(block => [block, blocks[block]]));
+    }
+    writeFileSync(this.filePath, JSON.stringify(this.payees, null, 2));
+  }
+
+  cached(address, blockNumber) {
+    return this.payees[address]?.[blockNumber];
+  }
+
+  // [{ address, blockNumber }] → Map of `${address}@${blockNumber}` → { destination, account }
+  // (null when the address was not a stash at that block). Failed queries are left out.
+  async resolvePayeesAt(queries) {
+    const mode = getRecordingMode();
+    const endpoint = getNetwork().rpcEndpoint;
+    const results = new Map();
+    const missing = [];
+
+    for (const query of queries) {
+      const key = `${query.address}@${query.blockNumber}`;
+      if (results.has(key)) continue;
+
+      if (mode === 'replay') {
+        try {
+          results.set(key, readFixture(endpoint, PAYEE_QUERY, query));
+        } catch (error) {
+          logger.warn(error.message);
+        }
+      } else if (mode === 'live' && this.cached(query.address, query.blockNumber) !== undefined) {
+        results.set(key, this.cached(query.address, query.blockNumber));
+      } else {
+        results.set(key, undefined);
+        missing.push(query);
+      }
+    }
+
+    if (missing.length > 0) {
+      await this.fetchPayeesAt(missing, results);
+    }
+
+    for (const [key, payee] of results) {
+      if (payee === undefined) results.delete(key);
+    }
+    return results;
+  }
+
+  // Reads staking.payee at each block (archive node), grouped by block
+  async fetchPayeesAt(queries, results) {
+    logger.info(`Resolving reward destinations for ${queries.length} rewards`);
+    const endpoint = getNetwork().rpcEndpoint;
+    const byBlock = new Map();
+    for (const query of queries) {
+      byBlock.set(query.blockNumber, [...(byBlock.get(query.blockNumber) || []), query.address]);
+    }
+
+    try {
+      const api = await getChainApi(endpoint);
+
+      for (const [blockNumber, addresses] of byBlock) {
+        const apiAt = await api.at(await api.rpc.chain.getBlockHash(blockNumber));
+
+        for (let i = 0; i < addresses.length; i += this.batchSize) {
+          const batch = addresses.slice(i, i + this.batchSize);
+          const payees = await apiAt.query.staking.payee.multi(batch);
+
+          batch.forEach((address, index) => {
+            // Payee is an Option on newer runtimes; None means the address was not a stash
+            const parsed = parseRewardDestination(payees[index].toJSON());
+            const payee = parsed ? { destination: parsed.destination, account: parsed.account } : null;
+            results.set(`${address}@${blockNumber}`, payee);
+            this.payees[address] = { ...this.payees[address], [blockNumber]: payee };
+            if (getRecordingMode() === 'record') {
+              writeFixture(endpoint, PAYEE_QUERY, { address, blockNumber }, payee);
+            }
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Error resolving reward destinations:', error.message);
+    }
+
+    this.save();
+  }
+
+  // Fills in destination/liquid on rewards that don't carry their own destination. The
+  // payee is read at each address's first and last reward; only when the two differ is
+  // it read at every reward in between.
+  async annotateRewards(rewards) {
+    const byAddress = new Map();
+    for (const reward of rewards) {
+      if (reward.destination || reward.type === 'pool_reward' || !reward.blockNumber) continue;
+      byAddress.set(reward.address, [...(byAddress.get(reward.address) || []), reward]);
+    }
+
+    const keyOf = reward => `${reward.address}@${reward.blockNumber}`;
+    const ends = Array.from(byAddress.values()).map(list => {
+      const sorted = [...list].sort((a, b) => a.blockNumber - b.blockNumber);
+      return [sorted[0], sorted[sorted.length - 1]];
+    });
+    const payees = await this.resolvePayeesAt(ends.flat().map(({ address, blockNumber }) => ({ address, blockNumber })));
+
+    const payeeOf = new Map();
+    const changed = [];
+    for (const [index, list] of Array.from(byAddress.values()).entries()) {
+      const [first, last] = ends[index].map(reward => payees.get(keyOf(reward)));
+      if (JSON.stringify(first) === JSON.stringify(last)) {
+        list.forEach(reward => payeeOf.set(reward, first));
+      } else {
+        changed.push(...list);
+      }
+    }
+
+    if (changed.length > 0) {
+      logger.info(`Reward destination changed within the window for some addresses, reading it at each of ${changed.length} rewards`);
+      const perReward = await this.resolvePayeesAt(changed.map(({ address, blockNumber }) => ({ address, blockNumber })));
+      changed.forEach(reward => payeeOf.set(reward, perReward.get(keyOf(reward))));
+    }
+
+    for (const reward of rewards) {
+      if (reward.type === 'pool_reward') {
+        // Claimed pool rewards are paid to the member's free balance
+        reward.destination = 'pool';
+      } else if (!reward.destination) {
+        const payee = payeeOf.get(reward);
+        reward.destination = payee?.destination ?? null;
+        reward.destinationAccount = payee?.account ?? null;
+      }
+      reward.liquid = isLiquidDestination(reward.destination);
+    }
+
+    const staked = rewards.filter(reward => !reward.liquid).length;
+    const unknown = rewards.filter(reward => !reward.destination).length;
+    logger.info(`Reward destinations: ${staked} staked, ${rewards.length - staked - unknown} liquid, ${unknown} unknown`);
+
+    return rewards;
+  }
+
+  // Accounts that receive rewards on behalf of a receiver (payee Account(x)) →
+  // Map of account → receiver address
+  payoutAccounts(rewards) {
+    const accounts = new Map();
+    for (const reward of rewards) {
+      const account = reward.destination === 'account' ? normalizeAddress(reward.destinationAccount) : null;
+      if (account && account !== reward.address) {
+        accounts.set(account, reward.address);
+      }
+    }
+    return accounts;
+  }
+}
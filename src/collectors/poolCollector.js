@@ -0,0 +1,266 @@
+import { getSubscanClient } from '../utils/subscanClient.js';
+import { logger } from '../utils/logger.js';
+import { planckFromRaw, toTokens } from '../utils/units.js';
+import { normalizeAddress } from '../utils/address.js';
+
+// Nomination pool members are paid via nominationPools.PaidOut, which never shows up
+// in reward_slash, and get their principal back via nominationPools.Withdrawn.
+export class PoolCollector {
+  constructor({ identityCollector = null } = {}) {
+    this.client = getSubscanClient();
+    this.identityCollector = identityCollector;
+    this.maxPages = parseInt(process.env.MAX_REWARD_PAGES || '50');
+    // Member lists are read per pool and unordered, so big pools are cut at this many pages
+    this.maxMemberPages = parseInt(process.env.POOL_MEMBER_MAX_PAGES || '5');
+    this.lastCompleteness = {};
+    this.lastMemberScan = null;
+  }
+
+  async makeRequest(endpoint, data = {}) {
+    return this.client.request(endpoint, data);
+  }
+
+  // Members of all pools, largest bonded stake first, in the receiver format. Subscan has
+  // no member list across pools ordered by stake, so every pool's list is read, up to
+  // POOL_MEMBER_MAX_PAGES pages; lastMemberScan records which pools were cut.
+  async fetchTopPoolMembers(limit = 500) {
+    logger.info(`Fetching top ${limit} nomination pool members...`);
+
+    const pools = await this.fetchPools();
+    const members = [];
+    const truncatedPools = [];
+
+    for (const pool of pools) {
+      const { members: poolMembers, complete } = await this.fetchPoolMembers(pool.poolId, { maxPages: this.maxMemberPages });
+      if (!complete) {
+        truncatedPools.push(pool.poolId);
+      }
+      for (const member of poolMembers) {
+        members.push({
+          address: member.address,
+          totalRewards: '0', // Will fetch actual rewards later
+          rewardCount: 0,
+          lastRewardBlock: 0,
+          identity: null,
+          balance: member.bonded,
+          type: 'pool_member',
+          poolId: pool.poolId,
+          poolName: pool.name
+        });
+      }
+    }
+
+    members.sort((a, b) => b.balance - a.balance);
+    logger.info(`Found ${members.length} members in ${pools.length} pools`);
+    if (truncatedPools.length > 0) {
+      logger.warn(`Read only the first ${this.maxMemberPages} member pages of ${truncatedPools.length} pools (${truncatedPools.slice(0, 10).join(', ')}${truncatedPools.length > 10 ? ', ...' : ''}); larger members of those pools may be missing, raise POOL_MEMBER_MAX_PAGES to read more`);
+    }
+    this.lastMemberScan = { pools: pools.length, maxMemberPages: this.maxMemberPages, truncatedPools };
+
+    const top = members.slice(0, limit);
+    if (this.identityCollector) {
+      await this.identityCollector.annotateReceivers(top);
+    }
+    return top;
+  }
+
+  async fetchPools() {
+    const pools = [];
+    const rowsPerPage = 100;
+
+    for (let page = 0; page < this.maxPages; page++) {
+      try {
+        const data = await this.makeRequest('/api/scan/nomination_pool/pools', {
+          row: rowsPerPage,
+          page: page
+        });
+
+        const list = data?.list || [];
+        for (const pool of list) {
+          pools.push({
+            poolId: parseInt(pool.pool_id),
+            name: pool.metadata || null,
+            members: parseInt(pool.member_count || 0),
+            // Bonded account that nominates and receives the pool's staking rewards
+            stash: normalizeAddress(pool.pool_account?.address)
+          });
+        }
+
+        if (list.length < rowsPerPage) break;
+      } catch (error) {
+        logger.error(`Error fetching nomination pools page ${page}:`, error.message);
+        break;
+      }
+    }
+
+    return pools;
+  }
+
+  // → { members, complete }; complete is false when maxPages ran out or a page failed
+  async fetchPoolMembers(poolId, { maxPages = this.maxPages } = {}) {
+    const members = [];
+    const rowsPerPage = 100;
+    let complete = false;
+
+    for (let page = 0; page < maxPages; page++) {
+      try {
+        const data = await this.makeRequest('/api/scan/nomination_pool/pool/members', {
+          pool_id: poolId,
+          row: rowsPerPage,
+          page: page
+        });
+
+        const list = data?.list || [];
+        for (const member of list) {
+          const address = normalizeAddress(member.account_display?.address || member.account);
+          if (!address) {
+            logger.warn(`Skipping member of pool ${poolId} with invalid address ${member.account_display?.address || member.account}`);
+            continue;
+          }
+          members.push({
+            address,
+            bonded: toTokens(planckFromRaw(member.bonded))
+          });
+        }
+
+        if (list.length < rowsPerPage) {
+          complete = true;
+          break;
+        }
+      } catch (error) {
+        logger.error(`Error fetching members of pool ${poolId} page ${page}:`, error.message);
+        break;
+      }
+    }
+
+    return { members, complete };
+  }
+
+  // Same shape as RewardCollector.fetchRewardsForAddress so the two are interchangeable
+  async fetchRewardsForAddress(address, startTime, endTime, { afterBlock = 0 } = {}) {
+    const { events, completeness } = await this.fetchEventPages(
+      '/api/scan/nomination_pool/rewards',
+      { address },
+      startTime,
+      endTime,
+      afterBlock
+    );
+
+    const rewards = events.map(event => ({
+      address: address,
+      amount: planckFromRaw(event.amount),
+      blockNumber: parseInt(event.block_num || 0),
+      timestamp: parseInt(event.block_timestamp || 0),
+      extrinsicHash: event.extrinsic_hash || null,
+      eventId: event.event_index || null,
+      era: null,
+      poolId: event.pool_id !== undefined ? parseInt(event.pool_id) : null,
+      type: 'pool_reward'
+    }));
+
+    return { rewards, completeness: { ...completeness, events: rewards.length } };
+  }
+
+  async fetchRewardsInWindow(members, startTime, endTime) {
+    const rewards = [];
+    this.lastCompleteness = {};
+
+    for (const member of members) {
+      const result = await this.fetchRewardsForAddress(member.address, startTime, endTime);
+      rewards.push(...result.rewards);
+      this.lastCompleteness[member.address] = result.completeness;
+    }
+
+    logger.info(`Collected ${rewards.length} pool reward claims for ${members.length} members`);
+    return rewards;
+  }
+
+  // Unbonded stake a member withdrew from its pool: principal, not rewards, but it
+  // becomes liquid and can be sold like rewards can
+  async fetchWithdrawalsForAddress(member, startTime, endTime, { afterBlock = 0 } = {}) {
+    const { events, completeness } = await this.fetchEventPages(
+      '/api/scan/nomination_pool/pool/activities',
+      { pool_id: member.poolId, address: member.address, event_id: 'Withdrawn' },
+      startTime,
+      endTime,
+      afterBlock
+    );
+
+    const withdrawals = events
+      .filter(event => !event.event_id || event.event_id === 'Withdrawn')
+      .map(event => ({
+        address: member.address,
+        amount: planckFromRaw(event.amount),
+        blockNumber: parseInt(event.block_num || 0),
+        timestamp: parseInt(event.block_timestamp || 0),
+        extrinsicHash: event.extrinsic_hash || null,
+        eventId: event.event_index || null,
+        poolId: member.poolId,
+        type: 'pool_withdrawal'
+      }));
+
+    return { withdrawals, complete: completeness.complete };
+  }
+
+  async trackWithdrawals(members, startTime, endTime) {
+    const withdrawals = [];
+
+    for (const member of members) {
+      const result = await this.fetchWithdrawalsForAddress(member, startTime, endTime);
+      withdrawals.push(...result.withdrawals);
+    }
+
+    logger.info(`Collected ${withdrawals.length} pool withdrawals`);
+    return withdrawals;
+  }
+
+  // Pages newest-first until events older than the window (or afterBlock) appear
+  async fetchEventPages(endpoint, params, startTime, endTime, afterBlock) {
+    const events = [];
+    const rowsPerPage = 100;
+    let page = 0;
+    let complete = false;
+    let reason = null;
+
+    while (page < this.maxPages) {
+      let data;
+      try {
+        data = await this.makeRequest(endpoint, { ...params, row: rowsPerPage, page: page });
+      } catch (error) {
+        logger.error(`Error fetching ${endpoint} for ${params.address} page ${page}:`, error.message);
+        reason = 'request_failed';
+        break;
+      }
+
+      const list = data?.list || [];
+      let passedWindowStart = false;
+
+      for (const event of list) {
+        const timestamp = parseInt(event.block_timestamp || 0);
+
+        if (timestamp < startTime || parseInt(event.block_num || 0) < afterBlock) {
+          passedWindowStart = true;
+          continue;
+        }
+
+        if (timestamp <= endTime) {
+          events.push(event);
+        }
+      }
+
+      page++;
+
+      if (passedWindowStart || list.length < rowsPerPage) {
+        complete = true;
+        break;
+      }
+    }
+
+    if (!complete && !reason) {
+      reason = 'page_limit';
+      logger.warn(`Stopped after ${page} pages of ${endpoint} for ${params.address}, window not fully covered`);
+    }
+
+    return { events, completeness: { complete, pages: page, events: events.length, reason } };
+  }
+}
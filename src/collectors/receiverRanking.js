@@ -0,0 +1,91 @@
+import { logger } from '../utils/logger.js';
+import { toPlanck, byAmountDesc } from '../utils/units.js';
+
+// Ranks accounts by the staking rewards they actually received over the last completed
+// eras, read from every payout in those eras' blocks (see ChainRewardCollector).
+export class ReceiverRanking {
+  constructor({ rewardSource, poolCollector = null, identityCollector = null }) {
+    this.rewardSource = rewardSource;
+    this.poolCollector = poolCollector;
+    this.identityCollector = identityCollector;
+  }
+
+  // Receivers in the top-receivers format, largest total first. Pool accounts (the
+  // pools' bonded stashes) are only kept with includePools: their rewards reach members
+  // as pool claims, which are ranked separately.
+  async rank({ eras = 4, limit = 1000, includePools = false } = {}) {
+    const toEra = (await this.rewardSource.getActiveEra()) - 1; // Last completed era
+    const fromEra = Math.max(0, toEra - eras + 1);
+    logger.info(`Ranking reward receivers over eras ${fromEra}-${toEra}`);
+
+    const rewards = await this.rewardSource.fetchRewardsForEras(null, fromEra, toEra);
+    // Unreadable blocks drop their payouts from every total, so the ranking is partial
+    const { blocks, failedBlocks } = this.rewardSource.lastScan;
+    if (failedBlocks === blocks) {
+      throw new Error(`None of the ${blocks} blocks of eras ${fromEra}-${toEra} could be read; ranking needs an archive node at RPC_ENDPOINT`);
+    }
+    if (failedBlocks > 0) {
+      logger.warn(`${failedBlocks} of ${blocks} blocks could not be read, their payouts are missing from the ranking; rerun rank-receivers to retry them`);
+    }
+    const poolAccounts = await this.getPoolAccounts();
+    const byAddress = new Map();
+
+    for (const reward of rewards) {
+      const entry = byAddress.get(reward.address) || {
+        address: reward.address,
+        amount: 0n,
+        rewardCount: 0,
+        lastRewardBlock: 0,
+        validatorPayouts: 0,
+        poolId: null
+      };
+
+      entry.amount += toPlanck(reward.amount);
+      entry.rewardCount++;
+      entry.lastRewardBlock = Math.max(entry.lastRewardBlock, reward.blockNumber);
+      if (reward.validator === reward.address) entry.validatorPayouts++;
+      if (reward.poolId !== undefined && reward.poolId !== null) entry.poolId = reward.poolId;
+      entry.isPoolMember = entry.isPoolMember || reward.type === 'pool_reward';
+
+      byAddress.set(reward.address, entry);
+    }
+
+    const receivers = Array.from(byAddress.values())
+      .map(entry => {
+        const pool = poolAccounts.get(entry.address);
+        return {
+          address: entry.address,
+          totalRewards: entry.amount.toString(),
+          rewardCount: entry.rewardCount,
+          lastRewardBlock: entry.lastRewardBlock,
+          identity: null,
+          type: pool ? 'pool' : entry.isPoolMember ? 'pool_member' : entry.validatorPayouts > 0 ? 'validator' : 'nominator',
+          poolId: pool?.poolId ?? entry.poolId,
+          amount: entry.amount
+        };
+      })
+      .filter(receiver => includePools || receiver.type !== 'pool')
+      .sort(byAmountDesc)
+      .slice(0, limit)
+      .map(({ amount, ...receiver }) => receiver);
+
+    const byType = receivers.reduce((counts, receiver) => ({ ...counts, [receiver.type]: (counts[receiver.type] || 0) + 1 }), {});
+    logger.info(`Ranked ${byAddress.size} reward receivers from ${rewards.length} rewards, kept ${receivers.length}: ${JSON.stringify(byType)}`);
+
+    if (this.identityCollector) {
+      await this.identityCollector.annotateReceivers(receivers);
+    }
+
+    return { fromEra, toEra, failedBlocks, receivers };
+  }
+
+  // Bonded stash of every nomination pool → pool
+  async getPoolAccounts() {
+    if (!this.poolCollector) {
+      return new Map();
+    }
+
+    const pools = await this.poolCollector.fetchPools();
+    return new Map(pools.filter(pool => pool.stash).map(pool => [pool.stash, pool]));
+  }
+}
@@ -1,48 +1,33 @@
-import axios from 'axios';
-import Bottleneck from 'bottleneck';
+import { getSubscanClient } from '../utils/subscanClient.js';
+import { PoolCollector } from './poolCollector.js';
 import { logger } from '../utils/logger.js';
+import { nowSeconds } from '../utils/clock.js';
+import { planckFromRaw } from '../utils/units.js';
+import { normalizeAddress } from '../utils/address.js';
+
+// reward_slash event names of rewards (Rewarded since the staking pallet renamed it)
+const REWARD_EVENTS = new Set(['Reward', 'Rewarded']);
 
 export class RewardCollector {
-  constructor() {
-    this.subscanAPI = 'https://polkadot.api.subscan.io';
-    this.apiKey = process.env.SUBSCAN_API_KEY;
-    
-    // Rate limiter: 5 requests per second
-    this.limiter = new Bottleneck({
-      minTime: 200,
-      maxConcurrent: 5
-    });
+  constructor({ identityCollector = null } = {}) {
+    // Shared client: one rate budget and retry policy across all collectors
+    this.client = getSubscanClient();
+    this.maxRewardPages = parseInt(process.env.MAX_REWARD_PAGES || '50');
+    this.lastCompleteness = {};
+    // Names come from on-chain identities rather than Subscan's display field
+    this.identityCollector = identityCollector;
+    // Pool members' rewards are PaidOut claims, not reward_slash entries
+    this.poolCollector = new PoolCollector({ identityCollector });
   }
 
   async makeRequest(endpoint, data = {}) {
-    return this.limiter.schedule(async () => {
-      try {
-        const response = await axios.post(
-          `${this.subscanAPI}${endpoint}`,
-          data,
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'X-API-Key': this.apiKey
-            },
-            timeout: 30000
-          }
-        );
-        
-        if (response.data.code !== 0) {
-          throw new Error(`Subscan API error: ${response.data.message}`);
-        }
-        
-        return response.data.data;
-      } catch (error) {
-        logger.error(`API request failed: ${endpoint}`, error.message);
-        throw error;
-      }
-    });
+    return this.client.request(endpoint, data);
   }
 
-  async fetchTopRewardReceivers(limit = 1000) {
-    logger.info(`Fetching top ${limit} reward receivers...`);
+  // Richest validator accounts. Balance is only a proxy for rewards; ReceiverRanking ranks
+  // by rewards actually received and needs an archive node, this needs only Subscan.
+  async fetchValidatorsByBalance(limit = 1000) {
+    logger.info(`Fetching top ${limit} validators by balance...`);
     
     const receivers = [];
     let page = 0;
@@ -50,7 +35,6 @@ export class RewardCollector {
     
     while (receivers.length < limit) {
       try {
-        // Fetch accounts sorted by balance (as proxy for top reward receivers)
         const data = await this.makeRequest('/api/scan/accounts', {
           row: rowsPerPage,
           page: page,
@@ -67,86 +51,165 @@ export class RewardCollector {
         for (const account of data.list) {
           if (receivers.length >= limit) break;
           
+          const address = normalizeAddress(account.address);
+          if (!address) {
+            logger.warn(`Skipping validator with invalid address ${account.address}`);
+            continue;
+          }
+          
           receivers.push({
-            address: account.address,
-            totalRewards: 0, // Will fetch actual rewards later
+            address,
+            totalRewards: '0', // Unknown, accounts are ranked by balance
             rewardCount: 0,
             lastRewardBlock: 0,
-            identity: account.account_display?.display || account.display?.display || null,
-            balance: parseFloat(account.balance || 0)
+            identity: null,
+            balance: parseFloat(account.balance || 0),
+            type: 'validator'
           });
         }
         
         page++;
         logger.info(`Fetched ${receivers.length} receivers...`);
-        
-        // Respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 500));
       } catch (error) {
         logger.error(`Error fetching reward receivers page ${page}:`, error);
         break;
       }
     }
     
-    logger.info(`Collected ${receivers.length} top reward receivers`);
+    logger.info(`Collected ${receivers.length} validators by balance`);
+    
+    if (this.identityCollector) {
+      await this.identityCollector.annotateReceivers(receivers);
+    }
     return receivers;
   }
 
   async fetchRecentRewards(addresses, hours = 24) {
     logger.info(`Fetching rewards from last ${hours} hours for ${addresses.length} addresses`);
     
-    const rewards = [];
-    const endTime = Math.floor(Date.now() / 1000);
+    const endTime = nowSeconds();
     const startTime = endTime - (hours * 3600);
     
+    return this.fetchRewardsInWindow(addresses, startTime, endTime);
+  }
+
+  async fetchRewardsInWindow(addresses, startTime, endTime) {
+    const rewards = [];
+    
+    // Per-address completeness of the last fetch, so the analysis knows when data is partial
+    this.lastCompleteness = {};
+    
     // Process in smaller batches due to rate limits
     const batchSize = 5;
     for (let i = 0; i < addresses.length; i += batchSize) {
       const batch = addresses.slice(i, i + batchSize);
       
       for (const receiver of batch) {
-        try {
-          // Use the correct API endpoint for rewards
-          const data = await this.makeRequest('/api/scan/account/reward_slash', {
-            address: receiver.address,
-            row: 20,
-            page: 0
-          });
-          
-          if (data && data.list) {
-            for (const reward of data.list) {
-              // Only include rewards from our time window
-              const rewardTimestamp = parseInt(reward.block_timestamp || 0);
-              if (rewardTimestamp >= startTime && rewardTimestamp <= endTime) {
-                rewards.push({
-                  address: receiver.address,
-                  amount: parseFloat(reward.amount || 0) / 1e10, // Convert to DOT
-                  blockNumber: parseInt(reward.block_num || 0),
-                  timestamp: rewardTimestamp,
-                  extrinsicHash: reward.extrinsic_hash,
-                  eventId: reward.event_id,
-                  type: 'staking_reward'
-                });
-              }
-            }
-          }
-        } catch (error) {
-          // Silently continue for addresses without rewards
-          logger.debug(`No rewards for ${receiver.address}: ${error.message}`);
-        }
-        
-        // Respect rate limit between requests
-        await new Promise(resolve => setTimeout(resolve, 250));
+        const source = receiver.type === 'pool_member' ? this.poolCollector : this;
+        const result = await source.fetchRewardsForAddress(receiver.address, startTime, endTime);
+        rewards.push(...result.rewards);
+        this.lastCompleteness[receiver.address] = result.completeness;
       }
       
       // Progress update
       logger.info(`Processed ${Math.min(i + batchSize, addresses.length)}/${addresses.length} addresses`);
     }
     
+    const partial = Object.values(this.lastCompleteness).filter(c => !c.complete).length;
+    if (partial > 0) {
+      logger.warn(`Reward history is incomplete for ${partial}/${addresses.length} addresses`);
+    }
+    
     logger.info(`Collected ${rewards.length} reward events`);
     return rewards;
   }
 
+  // Pages through reward_slash (newest first) until the window start is passed,
+  // or until events older than afterBlock (the last block already collected) appear
+  async fetchRewardsForAddress(address, startTime, endTime, { afterBlock = 0 } = {}) {
+    const rewards = [];
+    const rowsPerPage = 100;
+    let page = 0;
+    let complete = false;
+    let reason = null;
+    let slashes = 0;
+    
+    while (page < this.maxRewardPages) {
+      let data;
+      try {
+        data = await this.makeRequest('/api/scan/account/reward_slash', {
+          address: address,
+          row: rowsPerPage,
+          page: page
+        });
+      } catch (error) {
+        logger.error(`Error fetching rewards for ${address} page ${page}:`, error.message);
+        reason = 'request_failed';
+        break;
+      }
+      
+      const list = data?.list || [];
+      let passedWindowStart = false;
+      
+      for (const reward of list) {
+        const rewardTimestamp = parseInt(reward.block_timestamp || 0);
+        
+        if (rewardTimestamp < startTime || parseInt(reward.block_num || 0) < afterBlock) {
+          passedWindowStart = true;
+          continue;
+        }
+        
+        // reward_slash also lists slashes, which are not rewards
+        if (!REWARD_EVENTS.has(reward.event_id)) {
+          slashes++;
+          continue;
+        }
+        
+        // Only include rewards from our time window
+        if (rewardTimestamp <= endTime) {
+          rewards.push({
+            address: address,
+            amount: planckFromRaw(reward.amount),
+            blockNumber: parseInt(reward.block_num || 0),
+            timestamp: rewardTimestamp,
+            extrinsicHash: reward.extrinsic_hash,
+            // event_id is the event name (Reward/Rewarded), event_index identifies the event
+            eventId: reward.event_index || null,
+            era: reward.era !== undefined ? parseInt(reward.era) : null,
+            type: 'staking_reward'
+          });
+        }
+      }
+      
+      page++;
+      
+      // Older events seen or history exhausted: nothing more in the window
+      if (passedWindowStart || list.length < rowsPerPage) {
+        complete = true;
+        break;
+      }
+    }
+    
+    if (slashes > 0) {
+      logger.info(`Skipped ${slashes} slashes of ${address}`);
+    }
+    
+    if (!complete && !reason) {
+      reason = 'page_limit';
+      logger.warn(`Stopped after ${page} pages of rewards for ${address}, window not fully covered`);
+    }
+    
+    return {
+      rewards,
+      completeness: {
+        complete,
+        pages: page,
+        events: rewards.length,
+        reason
+      }
+    };
+  }
+
   async fetchAccountDetails(addresses) {
     logger.info(`Fetching account details for ${addresses.length} addresses`);
     
@@ -170,7 +233,7 @@ export class RewardCollector {
               balance: parseFloat(data.account.balance || 0),
               locked: parseFloat(data.account.balance_lock || 0),
               reserved: parseFloat(data.account.reserved || 0),
-              identity: data.account.display?.display || null,
+              identity: this.identityCollector?.lookup(address)?.display ?? null,
               isValidator: data.account.is_validator || false,
               isNominator: data.account.is_nominator || false
             });
@@ -179,8 +242,6 @@ export class RewardCollector {
           logger.error(`Error fetching details for ${address}:`, error.message);
         }
       }));
-      
-      await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
     return details;
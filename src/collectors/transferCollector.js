@@ -1,53 +1,33 @@
-import axios from 'axios';
-import Bottleneck from 'bottleneck';
+import { getSubscanClient } from '../utils/subscanClient.js';
 import { logger } from '../utils/logger.js';
+import { nowSeconds } from '../utils/clock.js';
+import { getNetwork } from '../utils/network.js';
+import { planckFromRaw, parseUnits } from '../utils/units.js';
+import { normalizeAddress } from '../utils/address.js';
 
 export class TransferCollector {
-  constructor() {
-    this.subscanAPI = 'https://polkadot.api.subscan.io';
-    this.apiKey = process.env.SUBSCAN_API_KEY;
-    
-    // Rate limiter
-    this.limiter = new Bottleneck({
-      minTime: 200,
-      maxConcurrent: 5
-    });
+  constructor({ chain = getNetwork().key, baseURL = getNetwork().subscanAPI } = {}) {
+    // Shared client: one rate budget and retry policy across all collectors
+    this.chain = chain;
+    this.client = getSubscanClient(baseURL);
   }
 
   async makeRequest(endpoint, data = {}) {
-    return this.limiter.schedule(async () => {
-      try {
-        const response = await axios.post(
-          `${this.subscanAPI}${endpoint}`,
-          data,
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'X-API-Key': this.apiKey
-            },
-            timeout: 30000
-          }
-        );
-        
-        if (response.data.code !== 0) {
-          throw new Error(`Subscan API error: ${response.data.message}`);
-        }
-        
-        return response.data.data;
-      } catch (error) {
-        logger.error(`API request failed: ${endpoint}`, error.message);
-        throw error;
-      }
-    });
+    return this.client.request(endpoint, data);
   }
 
   async trackTransfers(addresses, hours = 24) {
     logger.info(`Tracking transfers for ${addresses.length} addresses over ${hours} hours`);
     
-    const allTransfers = [];
-    const endTime = Math.floor(Date.now() / 1000);
+    const endTime = nowSeconds();
     const startTime = endTime - (hours * 3600);
     
+    return this.trackTransfersInWindow(addresses, startTime, endTime);
+  }
+
+  async trackTransfersInWindow(addresses, startTime, endTime) {
+    const allTransfers = [];
+    
     // Process in batches
     const batchSize = 10;
     for (let i = 0; i < addresses.length; i += batchSize) {
@@ -69,7 +49,6 @@ export class TransferCollector {
       }));
       
       logger.info(`Processed ${Math.min(i + batchSize, addresses.length)}/${addresses.length} addresses`);
-      await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
     logger.info(`Collected ${allTransfers.length} transfers`);
@@ -77,9 +56,17 @@ export class TransferCollector {
   }
 
   async fetchTransfersForAddress(address, startTime, endTime) {
+    const { transfers } = await this.fetchTransferPages(address, startTime, endTime, 'from');
+    return transfers;
+  }
+
+  // Pages through /api/v2/scan/transfers; complete is false if a page request failed
+  // or maxPages (newest first) did not reach the start of the window
+  async fetchTransferPages(address, startTime, endTime, direction, { maxPages = Infinity } = {}) {
     const transfers = [];
     let page = 0;
     const rowsPerPage = 100;
+    let complete = true;
     
     while (true) {
       try {
@@ -89,28 +76,24 @@ export class TransferCollector {
           page: page,
           from_block_timestamp: startTime,
           to_block_timestamp: endTime,
-          direction: 'from'  // Outgoing transfers
+          direction: direction  // 'from' = outgoing, 'to' = incoming
         });
         
         if (!data.transfers || data.transfers.length === 0) {
           break;
         }
         
-        // Process transfers
+        // Process transfers; ones with an address that doesn't decode are reported and dropped
         for (const transfer of data.transfers) {
-          transfers.push({
-            from: transfer.from,
-            to: transfer.to,
-            amount: parseFloat(transfer.amount || 0),
-            timestamp: parseInt(transfer.block_timestamp || 0),
-            blockNumber: parseInt(transfer.block_num || 0),
-            extrinsicHash: transfer.extrinsic_hash,
-            success: transfer.success,
-            fee: parseFloat(transfer.fee || 0),
-            // Add metadata
-            fromIdentity: transfer.from_account_display?.display || null,
-            toIdentity: transfer.to_account_display?.display || null
-          });
+          // A failed extrinsic moved nothing
+          if (transfer.success === false) continue;
+          
+          const record = this.toTransferRecord(transfer);
+          if (record.from && record.to) {
+            transfers.push(record);
+          } else {
+            logger.warn(`Skipping transfer ${transfer.extrinsic_index || transfer.extrinsic_hash} with invalid address (${transfer.from} → ${transfer.to})`);
+          }
         }
         
         // Check if we have all transfers
@@ -119,20 +102,50 @@ export class TransferCollector {
         }
         
         page++;
+        if (page >= maxPages) {
+          complete = false;
+          break;
+        }
       } catch (error) {
-        logger.error(`Error fetching transfers for ${address} page ${page}:`, error.message);
+        logger.error(`Error fetching ${direction === 'to' ? 'incoming' : 'outgoing'} transfers for ${address} page ${page}:`, error.message);
+        complete = false;
         break;
       }
     }
     
-    return transfers;
+    return { transfers, complete };
+  }
+
+  toTransferRecord(transfer) {
+    return {
+      from: normalizeAddress(transfer.from),
+      to: normalizeAddress(transfer.to),
+      // amount_v2 is raw planck; amount is a decimal string in tokens
+      amount: transfer.amount_v2 !== undefined
+        ? planckFromRaw(transfer.amount_v2)
+        : parseUnits(transfer.amount || '0', getNetwork().decimals).toString(),
+      timestamp: parseInt(transfer.block_timestamp || 0),
+      blockNumber: parseInt(transfer.block_num || 0),
+      extrinsicHash: transfer.extrinsic_hash,
+      // Stable id for de-duplication across overlapping fetches
+      eventId: transfer.extrinsic_index && transfer.event_idx !== undefined
+        ? `${transfer.extrinsic_index}-${transfer.event_idx}`
+        : null,
+      success: transfer.success,
+      fee: planckFromRaw(transfer.fee),
+      chain: this.chain,
+      asset: transfer.asset_symbol || null,
+      // Add metadata
+      fromIdentity: transfer.from_account_display?.display || null,
+      toIdentity: transfer.to_account_display?.display || null
+    };
   }
 
   async fetchTransfersBetweenAddresses(fromAddresses, toAddresses, hours = 24) {
     logger.info(`Fetching transfers between ${fromAddresses.length} sources and ${toAddresses.length} destinations`);
     
     const transfers = [];
-    const endTime = Math.floor(Date.now() / 1000);
+    const endTime = nowSeconds();
     const startTime = endTime - (hours * 3600);
     
     // Create a Set for faster lookup
@@ -156,7 +169,7 @@ export class TransferCollector {
     logger.info(`Fetching ${days} days of transfer history for ${address}`);
     
     const transfers = [];
-    const endTime = Math.floor(Date.now() / 1000);
+    const endTime = nowSeconds();
     const startTime = endTime - (days * 24 * 3600);
     
     // Fetch both incoming and outgoing transfers
@@ -175,52 +188,7 @@ export class TransferCollector {
   }
 
   async fetchIncomingTransfers(address, startTime, endTime) {
-    const transfers = [];
-    let page = 0;
-    const rowsPerPage = 100;
-    
-    while (true) {
-      try {
-        const data = await this.makeRequest('/api/v2/scan/transfers', {
-          address: address,
-          row: rowsPerPage,
-          page: page,
-          from_block_timestamp: startTime,
-          to_block_timestamp: endTime,
-          direction: 'to'  // Incoming transfers
-        });
-        
-        if (!data.transfers || data.transfers.length === 0) {
-          break;
-        }
-        
-        // Process transfers
-        for (const transfer of data.transfers) {
-          transfers.push({
-            from: transfer.from,
-            to: transfer.to,
-            amount: parseFloat(transfer.amount || 0),
-            timestamp: parseInt(transfer.block_timestamp || 0),
-            blockNumber: parseInt(transfer.block_num || 0),
-            extrinsicHash: transfer.extrinsic_hash,
-            success: transfer.success,
-            fee: parseFloat(transfer.fee || 0),
-            fromIdentity: transfer.from_account_display?.display || null,
-            toIdentity: transfer.to_account_display?.display || null
-          });
-        }
-        
-        if (data.transfers.length < rowsPerPage) {
-          break;
-        }
-        
-        page++;
-      } catch (error) {
-        logger.error(`Error fetching incoming transfers for ${address}:`, error.message);
-        break;
-      }
-    }
-    
+    const { transfers } = await this.fetchTransferPages(address, startTime, endTime, 'to');
     return transfers;
   }
 }
\ No newline at end of file
@@ -0,0 +1,198 @@
+import { getSubscanClient } from '../utils/subscanClient.js';
+import { logger } from '../utils/logger.js';
+import { getNetwork } from '../utils/network.js';
+import { planckFromRaw } from '../utils/units.js';
+
+const EVENT_TYPES = {
+  Unbonded: 'staking_unbond',
+  Withdrawn: 'staking_withdrawal',
+  Chilled: 'staking_chill',
+  Bonded: 'staking_bond'
+};
+
+// staking.Unbonded / Withdrawn / Chilled / Bonded of tracked stashes. Unbonded stake becomes
+// withdrawable bondingDurationEras later, so unbonds seen today are tomorrow's supply,
+// unless a later staking.rebond takes them back. rebond, bond and bond_extra all emit
+// Bonded, so Bonded events of the stash's rebond extrinsics are typed staking_rebond.
+// Pool members unbond through their pool and never emit these events.
+export class UnbondingCollector {
+  constructor() {
+    this.client = getSubscanClient();
+    this.maxPages = parseInt(process.env.MAX_REWARD_PAGES || '50');
+    this.network = getNetwork();
+    this.unbondingSeconds = this.network.bondingDurationEras * this.network.eraHours * 3600;
+  }
+
+  async makeRequest(endpoint, data = {}) {
+    return this.client.request(endpoint, data);
+  }
+
+  async trackStakingEvents(addresses, startTime, endTime) {
+    const events = [];
+
+    for (const receiver of addresses) {
+      const result = await this.fetchEventsForAddress(receiver.address, startTime, endTime);
+      events.push(...result.events);
+    }
+
+    logger.info(`Collected ${events.length} unbond/withdraw/chill events for ${addresses.length} stashes`);
+    return events;
+  }
+
+  async fetchEventsForAddress(address, startTime, endTime, { afterBlock = 0 } = {}) {
+    const found = [];
+    let complete = true;
+
+    for (const eventId of Object.keys(EVENT_TYPES)) {
+      const result = await this.fetchEventPages(address, eventId, startTime, endTime, afterBlock);
+      found.push(...result.events.map(event => ({ ...event, event_id: eventId })));
+      complete = complete && result.complete;
+    }
+
+    // Chills carry no amount, the others need their params for it
+    const withAmount = found.filter(event => event.event_id !== 'Chilled');
+    const params = await this.fetchParams(withAmount);
+    complete = complete && withAmount.every(event => params.has(event.event_index));
+
+    let rebonds = new Set();
+    if (found.some(event => event.event_id === 'Bonded')) {
+      const result = await this.fetchRebondHashes(address, startTime, endTime, afterBlock);
+      rebonds = result.hashes;
+      complete = complete && result.complete;
+    }
+
+    const events = found.map(event => {
+      const timestamp = parseInt(event.block_timestamp || 0);
+      const isRebond = event.event_id === 'Bonded' && rebonds.has(event.extrinsic_hash);
+      const record = {
+        address,
+        amount: event.event_id === 'Chilled' ? '0' : planckFromRaw(params.get(event.event_index)),
+        blockNumber: parseInt(event.block_num || 0),
+        timestamp,
+        extrinsicHash: event.extrinsic_hash || null,
+        eventId: event.event_index || null,
+        type: isRebond ? 'staking_rebond' : EVENT_TYPES[event.event_id]
+      };
+
+      // Approximate: unlocks happen at an era boundary, not to the second
+      if (record.type === 'staking_unbond') {
+        record.unlockAt = timestamp + this.unbondingSeconds;
+      }
+      return record;
+    });
+
+    return { events, complete };
+  }
+
+  // Pages newest-first until events older than the window (or afterBlock) appear
+  async fetchEventPages(address, eventId, startTime, endTime, afterBlock) {
+    const events = [];
+    const rowsPerPage = 100;
+
+    for (let page = 0; page < this.maxPages; page++) {
+      let data;
+      try {
+        data = await this.makeRequest('/api/v2/scan/events', {
+          address,
+          module: 'staking',
+          event_id: eventId,
+          row: rowsPerPage,
+          page: page
+        });
+      } catch (error) {
+        logger.error(`Error fetching staking.${eventId} events for ${address} page ${page}:`, error.message);
+        return { events, complete: false };
+      }
+
+      const list = data?.events || [];
+      let passedWindowStart = false;
+
+      for (const event of list) {
+        const timestamp = parseInt(event.block_timestamp || 0);
+
+        if (timestamp < startTime || parseInt(event.block_num || 0) < afterBlock) {
+          passedWindowStart = true;
+          continue;
+        }
+
+        if (timestamp <= endTime) {
+          events.push(event);
+        }
+      }
+
+      if (passedWindowStart || list.length < rowsPerPage) {
+        return { events, complete: true };
+      }
+    }
+
+    logger.warn(`Stopped after ${this.maxPages} pages of staking.${eventId} events for ${address}, window not fully covered`);
+    return { events, complete: false };
+  }
+
+  // Hashes of the stash's staking.rebond extrinsics, paged like fetchEventPages. A rebond
+  // inside a utility batch is not found and its Bonded counts as new stake.
+  async fetchRebondHashes(address, startTime, endTime, afterBlock) {
+    const hashes = new Set();
+    const rowsPerPage = 100;
+
+    for (let page = 0; page < this.maxPages; page++) {
+      let data;
+      try {
+        data = await this.makeRequest('/api/v2/scan/extrinsics', {
+          address,
+          module: 'staking',
+          call: 'rebond',
+          row: rowsPerPage,
+          page: page
+        });
+      } catch (error) {
+        logger.error(`Error fetching staking.rebond extrinsics for ${address} page ${page}:`, error.message);
+        return { hashes, complete: false };
+      }
+
+      const list = data?.extrinsics || [];
+      let passedWindowStart = false;
+
+      for (const extrinsic of list) {
+        const timestamp = parseInt(extrinsic.block_timestamp || 0);
+
+        if (timestamp < startTime || parseInt(extrinsic.block_num || 0) < afterBlock) {
+          passedWindowStart = true;
+          continue;
+        }
+
+        if (timestamp <= endTime && extrinsic.success !== false) {
+          hashes.add(extrinsic.extrinsic_hash);
+        }
+      }
+
+      if (passedWindowStart || list.length < rowsPerPage) {
+        return { hashes, complete: true };
+      }
+    }
+
+    logger.warn(`Stopped after ${this.maxPages} pages of staking.rebond extrinsics for ${address}, window not fully covered`);
+    return { hashes, complete: false };
+  }
+
+  // event_index → amount param, the events list itself carries no params
+  async fetchParams(events) {
+    const amounts = new Map();
+    const batchSize = 100;
+
+    for (let i = 0; i < events.length; i += batchSize) {
+      const batch = events.slice(i, i + batchSize).map(event => event.event_index);
+      try {
+        const data = await this.makeRequest('/api/scan/event/params', { event_index: batch });
+        for (const item of data || []) {
+          const amount = (item.params || []).find(param => param.name === 'amount' || /Balance/.test(param.type_name || ''));
+          amounts.set(item.event_index, amount?.value ?? '0');
+        }
+      } catch (error) {
+        logger.error('Error fetching staking event params:', error.message);
+      }
+    }
+
+    return amounts;
+  }
+}
@@ -0,0 +1,202 @@
+import { getSubscanClient } from '../utils/subscanClient.js';
+import { getNetwork } from '../utils/network.js';
+import { toPlanck } from '../utils/units.js';
+import { normalizeAddress, sameAddress } from '../utils/address.js';
+import { TransferCollector } from './transferCollector.js';
+import { logger } from '../utils/logger.js';
+
+// Follows the native token when it leaves the relay chain via XCM (teleports / reserve
+// transfers to system parachains) and collects the beneficiary's onward transfers on
+// the destination.
+export class XcmCollector {
+  constructor() {
+    this.network = getNetwork();
+    // System parachains of the selected network (config/networks.json)
+    this.chains = this.network.chains;
+    this.client = getSubscanClient();
+    
+    // Destination chains to follow, Asset Hub by default
+    this.destinations = (process.env.XCM_DESTINATIONS || 'assethub')
+      .split(',')
+      .map(chain => chain.trim())
+      .filter(chain => this.chains[chain]);
+    this.destCollectors = new Map();
+  }
+
+  chainByParaId(paraId) {
+    const entry = Object.entries(this.chains).find(([, chain]) => chain.paraId === paraId);
+    return entry ? entry[0] : null;
+  }
+
+  getDestCollector(chain) {
+    if (!this.destCollectors.has(chain)) {
+      this.destCollectors.set(chain, new TransferCollector({
+        chain,
+        baseURL: this.chains[chain].subscanAPI
+      }));
+    }
+    return this.destCollectors.get(chain);
+  }
+
+  async trackXcmTransfers(addresses, startTime, endTime) {
+    logger.info(`Tracking outgoing XCM transfers for ${addresses.length} addresses`);
+    
+    const xcmTransfers = [];
+    
+    // Process in batches
+    const batchSize = 10;
+    for (let i = 0; i < addresses.length; i += batchSize) {
+      const batch = addresses.slice(i, i + batchSize);
+      
+      await Promise.all(batch.map(async (receiver) => {
+        const { transfers } = await this.fetchOutgoingXcm(receiver.address, startTime, endTime);
+        xcmTransfers.push(...transfers);
+      }));
+    }
+    
+    logger.info(`Collected ${xcmTransfers.length} XCM transfers`);
+    return xcmTransfers;
+  }
+
+  // Pages through /api/scan/xcm/list (newest first) for transfers to tracked destinations
+  async fetchOutgoingXcm(address, startTime, endTime) {
+    const transfers = [];
+    let page = 0;
+    const rowsPerPage = 100;
+    let complete = true;
+    
+    while (true) {
+      let data;
+      try {
+        data = await this.client.request('/api/scan/xcm/list', {
+          address: address,
+          row: rowsPerPage,
+          page: page,
+          message_type: 'transfer'
+        });
+      } catch (error) {
+        logger.error(`Error fetching XCM transfers for ${address} page ${page}:`, error.message);
+        complete = false;
+        break;
+      }
+      
+      const list = data?.list || [];
+      let passedWindowStart = false;
+      
+      for (const message of list) {
+        const timestamp = parseInt(message.origin_block_timestamp || 0);
+        if (timestamp < startTime) {
+          passedWindowStart = true;
+          continue;
+        }
+        
+        const record = this.toXcmRecord(address, message);
+        if (record && timestamp <= endTime) {
+          transfers.push(record);
+        }
+      }
+      
+      if (passedWindowStart || list.length < rowsPerPage) {
+        break;
+      }
+      page++;
+    }
+    
+    return { transfers, complete };
+  }
+
+  toXcmRecord(address, message) {
+    // Only relay-chain originated messages to the destinations we follow
+    const destChain = this.chainByParaId(parseInt(message.dest_para_id));
+    if (message.origin_para_id && parseInt(message.origin_para_id) !== 0) return null;
+    if (!destChain || !this.destinations.includes(destChain)) return null;
+    if (message.status && message.status !== 'success') return null;
+    
+    // The list holds every message touching the address, incoming ones included; only
+    // messages it sent are outflow
+    if (!sameAddress(message.from_account_id, address)) return null;
+    
+    const native = (message.assets || []).find(asset => asset.symbol === this.network.symbol);
+    if (!native) return null;
+    
+    // Raw asset amount, rescaled in case Subscan reports it with other decimals
+    const scale = BigInt(this.network.decimals - parseInt(native.decimals ?? this.network.decimals));
+    const raw = BigInt(String(native.amount || '0').split('.')[0] || '0');
+    const amount = scale >= 0n ? raw * 10n ** scale : raw / 10n ** -scale;
+    
+    // The beneficiary may come as a 0x public key
+    const to = normalizeAddress(message.to_account_id);
+    if (!to) {
+      logger.warn(`Skipping XCM message ${message.message_hash} with invalid beneficiary ${message.to_account_id}`);
+      return null;
+    }
+    
+    return {
+      from: address,
+      to,
+      amount: amount.toString(),
+      timestamp: parseInt(message.origin_block_timestamp || 0),
+      arrivalTimestamp: parseInt(message.confirm_block_timestamp || message.origin_block_timestamp || 0),
+      blockNumber: parseInt(message.block_num || 0),
+      extrinsicHash: message.extrinsic_index || null,
+      messageHash: message.message_hash,
+      chain: this.network.key,
+      destChain,
+      destParaId: parseInt(message.dest_para_id),
+      type: 'xcm_transfer'
+    };
+  }
+
+  // Onward transfers of XCM beneficiaries on the destination chain, capped at the amount
+  // that arrived via XCM and attributed to the relay-chain sender (origin)
+  async followOnDestination(xcmTransfers, endTime) {
+    const groups = new Map();
+    
+    for (const xcm of xcmTransfers) {
+      const key = `${xcm.destChain}:${xcm.to}:${xcm.from}`;
+      const group = groups.get(key) || {
+        chain: xcm.destChain,
+        beneficiary: xcm.to,
+        origin: xcm.from,
+        amount: 0n,
+        arrival: xcm.arrivalTimestamp,
+        messages: []
+      };
+      group.amount += toPlanck(xcm.amount);
+      group.arrival = Math.min(group.arrival, xcm.arrivalTimestamp);
+      group.messages.push(xcm.messageHash);
+      groups.set(key, group);
+    }
+    
+    const followed = [];
+    
+    for (const group of groups.values()) {
+      const collector = this.getDestCollector(group.chain);
+      const { transfers } = await collector.fetchTransferPages(group.beneficiary, group.arrival, endTime, 'from');
+      
+      let remaining = group.amount;
+      const nativeTransfers = transfers
+        .filter(transfer => !transfer.asset || transfer.asset === this.network.symbol)
+        .sort((a, b) => a.timestamp - b.timestamp);
+      
+      for (const transfer of nativeTransfers) {
+        if (remaining <= 0n) break;
+        
+        const amount = toPlanck(transfer.amount);
+        const attributed = amount < remaining ? amount : remaining;
+        remaining -= attributed;
+        
+        followed.push({
+          ...transfer,
+          amount: attributed.toString(),
+          originalAmount: transfer.amount,
+          origin: group.origin,
+          viaXcm: group.messages
+        });
+      }
+    }
+    
+    logger.info(`Followed ${followed.length} transfers on destination chains from ${groups.size} XCM beneficiaries`);
+    return followed;
+  }
+}
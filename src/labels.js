@@ -0,0 +1,245 @@
+import { readFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { logger } from './utils/logger.js';
+import { nowSeconds } from './utils/clock.js';
+import { normalizeAddress, addressError } from './utils/address.js';
+import { DestinationTaxonomy } from './analyzers/destinations.js';
+
+// Labels not verified for this long count as stale in the stats
+const STALE_DAYS = 180;
+
+// "a,b,\"c,d\"" → ['a', 'b', 'c,d']
+function splitCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+const CSV_COLUMNS = ['address', 'entity', 'label', 'category', 'kind', 'chain', 'confidence', 'source'];
+
+const LABEL_KINDS = ['wallet', 'deposit'];
+
+// Confidence is a share, "abc" or 1.5 would be stored as-is otherwise
+function parseConfidence(value) {
+  const confidence = parseFloat(value);
+  if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+    throw new Error(`Invalid confidence "${value}", expected a number from 0 to 1`);
+  }
+  return confidence;
+}
+
+// Maintains the label store behind ExchangeDetector (index.js labels ...). Every change
+// goes through LabelStore.upsert, so addresses are validated the same way as on load.
+export class LabelManager {
+  constructor({ exchangeDetector }) {
+    this.exchangeDetector = exchangeDetector;
+    this.destinations = new DestinationTaxonomy();
+  }
+
+  get store() {
+    return this.exchangeDetector.labelStore;
+  }
+
+  // Fills in label and category from the exchange list when not given; rejects unknown
+  // kinds and confidences outside 0-1
+  toLabel({ address, entity, label, category, kind = 'wallet', chain = null, confidence = 1, source = 'manual' }) {
+    if (!LABEL_KINDS.includes(kind)) {
+      throw new Error(`Invalid kind "${kind}", expected ${LABEL_KINDS.join(' or ')}`);
+    }
+    const exchange = this.exchangeDetector.exchangeAddresses.get(entity);
+    const name = exchange?.name || entity;
+    return {
+      address,
+      chain: chain || null,
+      entity,
+      label: label || `${name} ${kind === 'deposit' ? 'deposit address' : 'wallet'}`,
+      category: category || exchange?.type || 'cex',
+      kind,
+      source,
+      confidence: parseConfidence(confidence)
+    };
+  }
+
+  list({ entity = null, includeRemoved = false } = {}) {
+    return this.store.entries({ includeRemoved })
+      .filter(entry => !entity || entry.entity === entity)
+      .sort((a, b) => a.entity.localeCompare(b.entity) || a.address.localeCompare(b.address));
+  }
+
+  // Matches any encoding of an address, or text in the entity, label or source
+  search(query) {
+    const address = normalizeAddress(query);
+    const text = query.toLowerCase();
+
+    return this.store.entries({ includeRemoved: true }).filter(entry =>
+      (address && normalizeAddress(entry.address) === address) ||
+      [entry.address, entry.entity, entry.label, entry.source].some(value => String(value || '').toLowerCase().includes(text))
+    );
+  }
+
+  add(fields, { override = false } = {}) {
+    if (!fields.entity) {
+      throw new Error('An entity (exchange id) is required, e.g. --entity binance');
+    }
+    if (!this.exchangeDetector.exchangeAddresses.has(fields.entity)) {
+      logger.warn(`${fields.entity} is not in the exchange list, it will be named by its id`);
+    }
+    if (fields.category && !this.destinations.categories[fields.category]) {
+      logger.warn(`${fields.category} is not a destination category (${this.destinations.keys().join(', ')}), flows to it count as "${this.destinations.categoryOf({ category: fields.category })}"`);
+    }
+
+    const action = this.store.upsert(this.toLabel(fields), { override });
+    this.store.save();
+    return action;
+  }
+
+  remove(address, { chain = null, reason = null, source = 'manual' } = {}) {
+    const removed = this.store.remove(address, chain, { source, reason });
+    this.store.save();
+    return removed;
+  }
+
+  // CSV (address,entity[,label,category,kind,chain,confidence,source], header optional)
+  // or JSON: an array of label objects, or the exchange list format
+  // ({ id: { addresses: [...] } } or { id: [...] })
+  parseImport(filePath, format = null) {
+    const content = readFileSync(filePath, 'utf8');
+    const type = format || (extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json');
+
+    if (type === 'csv') {
+      const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+      const first = splitCsvLine(lines[0] || '').map(cell => cell.toLowerCase());
+      const columns = first.includes('address') ? first : CSV_COLUMNS;
+      const rows = first.includes('address') ? lines.slice(1) : lines;
+
+      return rows.map(line => {
+        const cells = splitCsvLine(line);
+        return Object.fromEntries(columns.map((column, index) => [column, cells[index] || undefined]));
+      });
+    }
+
+    const data = JSON.parse(content);
+    if (Array.isArray(data)) {
+      return data;
+    }
+
+    return Object.entries(data).flatMap(([entity, value]) => {
+      const addresses = Array.isArray(value) ? value : value.addresses || [];
+      return [
+        ...addresses.map(address => ({ address, entity, category: value.type })),
+        ...(value.depositAddresses || []).map(address => ({ address, entity, category: value.type, kind: 'deposit' })),
+        ...Object.entries(value.chainAddresses || {}).flatMap(([chain, list]) =>
+          list.map(address => ({ address, entity, category: value.type, chain })))
+      ];
+    });
+  }
+
+  // Rows are validated and de-duplicated (by key) before anything is written. Addresses
+  // claimed by another entity are flagged as conflicts, not relabeled, unless override.
+  import(filePath, { format = null, source = null, confidence = null, override = false } = {}) {
+    // A bad --confidence would apply to every row, so it fails the import
+    const defaultConfidence = confidence !== null ? parseConfidence(confidence) : null;
+    const rows = this.parseImport(filePath, format);
+    const defaultSource = source || `import:${basename(filePath)}`;
+    const result = { rows: rows.length, added: 0, updated: 0, verified: 0, restored: 0, conflict: 0, duplicates: 0, rejected: [] };
+    const seen = new Set();
+
+    for (const [index, row] of rows.entries()) {
+      const address = normalizeAddress(row.address);
+      if (!address) {
+        result.rejected.push({ row: index + 1, address: row.address, reason: row.address ? addressError(row.address) : 'no address' });
+        continue;
+      }
+      if (!row.entity) {
+        result.rejected.push({ row: index + 1, address: row.address, reason: 'no entity' });
+        continue;
+      }
+
+      let label;
+      try {
+        label = this.toLabel({
+          ...row,
+          address,
+          source: row.source || defaultSource,
+          confidence: defaultConfidence ?? row.confidence ?? 1
+        });
+      } catch (error) {
+        result.rejected.push({ row: index + 1, address: row.address, reason: error.message });
+        continue;
+      }
+
+      const key = `${row.chain || ''}:${address}:${row.entity}`;
+      if (seen.has(key)) {
+        result.duplicates++;
+        continue;
+      }
+      seen.add(key);
+
+      const action = this.store.upsert(label, { override });
+      result[action]++;
+    }
+
+    this.store.save();
+    return result;
+  }
+
+  dedupe() {
+    const merged = this.store.dedupe();
+    this.store.save();
+    return merged;
+  }
+
+  conflicts() {
+    return this.store.conflicts();
+  }
+
+  stats() {
+    const entries = this.store.entries();
+    const staleBefore = new Date((nowSeconds() - STALE_DAYS * 86400) * 1000).toISOString();
+    const count = (list, field) => list.reduce((counts, entry) => ({ ...counts, [entry[field]]: (counts[entry[field]] || 0) + 1 }), {});
+
+    // Every exchange in the list, including ones without a single valid address
+    const exchanges = Array.from(this.exchangeDetector.exchangeAddresses.entries()).map(([id, exchange]) => {
+      const labels = entries.filter(entry => entry.entity === id);
+      const valid = labels.filter(entry => normalizeAddress(entry.address));
+      return {
+        id,
+        name: exchange.name,
+        wallets: valid.filter(entry => entry.kind !== 'deposit').length,
+        deposits: valid.filter(entry => entry.kind === 'deposit').length,
+        invalid: labels.length - valid.length
+      };
+    });
+
+    return {
+      version: this.store.getVersion(),
+      labels: entries.length,
+      removed: this.store.entries({ includeRemoved: true }).length - entries.length,
+      invalid: entries.filter(entry => !normalizeAddress(entry.address)).length,
+      conflicts: this.store.conflicts().length,
+      unverified: entries.filter(entry => !entry.lastVerified).length,
+      stale: entries.filter(entry => entry.lastVerified && entry.lastVerified < staleBefore).length,
+      averageConfidence: entries.length > 0
+        ? Math.round(entries.reduce((sum, entry) => sum + (entry.confidence ?? 0), 0) / entries.length * 100) / 100
+        : null,
+      bySource: count(entries, 'source'),
+      byCategory: count(entries, 'category'),
+      byKind: count(entries, 'kind'),
+      exchanges,
+      uncovered: exchanges.filter(exchange => exchange.wallets + exchange.deposits === 0).map(exchange => exchange.id)
+    };
+  }
+}
@@ -1,9 +1,24 @@
 import { logger } from './utils/logger.js';
 import { FileStorage } from './utils/storage.js';
+import { formatUnits, percentOf, toPlanck, byAmountDesc } from './utils/units.js';
+import { compareWithHistory, TREND_METRICS } from './analyzers/historicalTrends.js';
+
+const TREND_BASES = { previousDay: 'previous day', avg7d: '7-day average', avg30d: '30-day average' };
 
 export class Reporter {
-  constructor() {
+  constructor({ identityCollector = null, timeZone = process.env.REPORT_TIMEZONE || 'UTC' } = {}) {
     this.storage = new FileStorage();
+    // Names addresses in analyses stored without identities, from the cache only
+    this.identityCollector = identityCollector;
+    // Times are shown in this IANA zone (REPORT_TIMEZONE); analyses themselves are UTC
+    try {
+      this.timeFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+      });
+    } catch (error) {
+      throw new Error(`Unknown REPORT_TIMEZONE "${timeZone}", expected an IANA zone such as Europe/Berlin`);
+    }
+    this.timeZone = timeZone;
   }
 
   async generateReport(analysis, type = 'daily') {
@@ -12,15 +27,21 @@ export class Reporter {
       return null;
     }
 
+    // Stored analyses of the last 30 days, for trends
+    const trend = this.determineTrend(analysis, await this.loadHistory(analysis));
+    
     const report = {
       type: type,
       generatedAt: new Date().toISOString(),
       period: analysis.period,
-      summary: this.generateSummary(analysis),
+      network: analysis.network || null,
+      labelSet: analysis.labelSet || null,
+      params: analysis.params || null,
+      summary: this.generateSummary(analysis, trend),
       details: this.generateDetails(analysis),
       trends: this.generateTrends(analysis),
       recommendations: this.generateRecommendations(analysis),
-      html: this.generateHTML(analysis)
+      html: this.generateHTML(analysis, trend)
     };
 
     // Save report
@@ -32,56 +53,170 @@ export class Reporter {
     return report;
   }
 
-  generateSummary(analysis) {
+  generateSummary(analysis, trend = this.determineTrend(analysis)) {
     const { summary } = analysis;
     
     return {
-      headline: this.generateHeadline(summary),
+      headline: this.generateHeadline(summary, this.highSellPressure(analysis), trend),
       keyMetrics: {
         totalRewards: summary.totalRewards,
+        liquidRewards: summary.liquidRewards ?? summary.totalRewards,
+        stakedRewards: summary.stakedRewards || 0,
         exchangeFlow: summary.exchangeFlow,
+        // Analyses from before lot matching counted every deposit as sold rewards
+        rewardsSold: summary.rewardsSold ?? summary.exchangeFlow,
+        principalSold: summary.principalSold || 0,
+        lotMatching: summary.lotMatching || null,
+        weightedRewardsSold: summary.weightedRewardsSold ?? summary.rewardsSold ?? summary.exchangeFlow,
+        byDestination: summary.byDestination || {},
+        sellPressureWeights: summary.sellPressureWeights || {},
+        directExchangeFlow: summary.directExchangeFlow ?? summary.exchangeFlow,
+        indirectExchangeFlow: summary.indirectExchangeFlow || 0,
+        exchangeFlowByChain: summary.exchangeFlowByChain || {},
+        xcmOutflow: summary.xcmOutflow || 0,
+        poolWithdrawals: summary.poolWithdrawals || 0,
+        unbonded: summary.unbonded || 0,
+        rebonded: summary.rebonded || 0,
+        stakeWithdrawn: summary.stakeWithdrawn || 0,
+        chilled: summary.chilled || 0,
+        futureSupply: summary.futureSupply || 0,
+        byReceiverType: summary.byReceiverType || {},
         sellPressure: summary.sellPressurePercent,
         quickSellers: summary.quickSellers,
         holders: summary.holders,
-        averageTimeToExchange: summary.averageTimeToExchange
+        autoCompounding: summary.autoCompounding || 0,
+        liquidHolders: summary.liquidHolders ?? summary.holders,
+        averageTimeToExchange: summary.averageTimeToExchange,
+        medianTimeToExchange: summary.medianTimeToExchange ?? null,
+        exchangeInflow: summary.exchangeInflow || 0,
+        exchangeOutflow: summary.exchangeOutflow || 0,
+        netExchangeFlow: summary.netExchangeFlow || 0,
+        rewardDrivenInflowPercent: summary.rewardDrivenInflowPercent || 0
       },
-      trend: this.determineTrend(analysis),
-      alerts: analysis.details.suspiciousPatterns || []
+      trend: trend,
+      alerts: analysis.details.suspiciousPatterns || [],
+      dataQuality: analysis.dataQuality || null
     };
   }
 
-  generateHeadline(summary) {
-    if (summary.sellPressurePercent > 40) {
-      return `⚠️ HIGH SELL PRESSURE: ${summary.sellPressurePercent.toFixed(1)}% of rewards sent to exchanges`;
+  // Analyses stored before network profiles existed are Polkadot
+  getNetworkInfo(analysis) {
+    return analysis.network || { key: 'polkadot', name: 'Polkadot', symbol: 'DOT', decimals: 10 };
+  }
+
+  // "Name (1abc...wxyz)" when the address has an identity, the shortened address otherwise
+  formatAddress(address, identity = null) {
+    const short = address.slice(0, 8) + '...' + address.slice(-6);
+    const name = identity || this.identityCollector?.lookup(address)?.display;
+    return name ? `${name} (${short})` : short;
+  }
+
+  // Amounts are planck; this is the only place they become token amounts
+  formatAmount(value, network, { symbol = true } = {}) {
+    const { decimals, symbol: tokenSymbol } = network || this.getNetworkInfo({});
+    const amount = formatUnits(value, decimals);
+    return symbol ? `${amount} ${tokenSymbol}` : amount;
+  }
+
+  getPeriodLabel(period) {
+    if (period?.type === 'era') {
+      return `Era ${period.era}`;
+    }
+    return `${Math.round((period.end - period.start) / 3600)}h`;
+  }
+
+  // Threshold the analysis was run with; analyses from before parameters were stored used 40%
+  highSellPressure(analysis) {
+    return analysis.params?.thresholds.highSellPressure ?? 40;
+  }
+
+  // Unix seconds → "2025-10-09 12:00" in the display time zone
+  formatTime(seconds) {
+    const parts = Object.fromEntries(this.timeFormat.formatToParts(new Date(seconds * 1000)).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+  }
+
+  // "2025-10-09 12:00 – 2025-10-10 12:00 UTC · 25 receivers · quick sell < 1h"
+  describeParams(params) {
+    if (!params) return '';
+    
+    const receivers = params.receivers ? `${params.receivers.length} selected receivers` : params.limit !== null ? `top ${params.limit} receivers` : 'all tracked receivers';
+    return `${this.formatTime(params.start)} – ${this.formatTime(params.end)} ${this.timeZone} · ${receivers} · quick sell < ${params.thresholds.rapidSellHours}h`;
+  }
+
+  generateHeadline(summary, highSellPressure = 40, trend = null) {
+    // "up 12.0 pts vs 7-day average", once there is history to compare with
+    const change = trend?.basis ? ` (${this.describeChange(trend.metrics.sellPressurePercent[trend.basis], 'sellPressurePercent')} vs ${TREND_BASES[trend.basis]})` : '';
+    
+    if (summary.sellPressurePercent > highSellPressure) {
+      return `⚠️ HIGH SELL PRESSURE: ${summary.sellPressurePercent.toFixed(1)}% of liquid rewards sent to exchanges${change}`;
     } else if (summary.sellPressurePercent < 20) {
-      return `✅ LOW SELL PRESSURE: Only ${summary.sellPressurePercent.toFixed(1)}% of rewards sent to exchanges`;
+      return `✅ LOW SELL PRESSURE: Only ${summary.sellPressurePercent.toFixed(1)}% of liquid rewards sent to exchanges${change}`;
     } else {
-      return `📊 NORMAL ACTIVITY: ${summary.sellPressurePercent.toFixed(1)}% sell pressure detected`;
+      return `📊 NORMAL ACTIVITY: ${summary.sellPressurePercent.toFixed(1)}% sell pressure detected${change}`;
     }
   }
 
-  determineTrend(analysis) {
-    // In production, this would compare with historical data
-    const pressure = analysis.summary.sellPressurePercent;
+  // Comparable analyses (same window length and receivers) from the 30 days before this
+  // one; era reports compare with earlier eras
+  async loadHistory(analysis) {
+    try {
+      return await this.storage.loadHistoricalAnalyses(30, { before: analysis.period.end, eras: analysis.period.type === 'era' });
+    } catch (error) {
+      logger.warn(`No history for trends: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Sell pressure, exchange flow and quick sellers against the previous day and the 7 and
+  // 30-day averages. The overall direction is that of sell pressure against the 7-day
+  // average; without history it is unknown.
+  determineTrend(analysis, history = []) {
+    const comparison = compareWithHistory(analysis, history);
+    const basis = comparison.avg7d ? 'avg7d' : null;
+    const direction = basis ? comparison.metrics.sellPressurePercent[basis].direction : 'unknown';
+    const looks = {
+      increasing: { sentiment: 'negative', icon: '📈' },
+      decreasing: { sentiment: 'positive', icon: '📉' },
+      stable: { sentiment: 'neutral', icon: '➡️' },
+      unknown: { sentiment: 'neutral', icon: '❔' }
+    };
     
-    if (pressure > 35) {
-      return { direction: 'increasing', sentiment: 'negative', icon: '📈' };
-    } else if (pressure < 25) {
-      return { direction: 'decreasing', sentiment: 'positive', icon: '📉' };
-    } else {
-      return { direction: 'stable', sentiment: 'neutral', icon: '➡️' };
+    return { direction, ...looks[direction], basis, ...comparison };
+  }
+
+  // Comparison → "up 12.0 pts" (sell pressure), "down 20.0%", or "unchanged"
+  describeChange({ delta, percentChange }, metric, network = null) {
+    const { amount } = TREND_METRICS[metric];
+    const sign = amount ? Number(toPlanck(delta) > 0n) - Number(toPlanck(delta) < 0n) : Math.sign(delta);
+    if (sign === 0) return 'unchanged';
+    
+    const word = sign > 0 ? 'up' : 'down';
+    if (metric === 'sellPressurePercent') {
+      return `${word} ${Math.abs(delta).toFixed(1)} pts`;
     }
+    if (percentChange !== null) {
+      return `${word} ${Math.abs(percentChange).toFixed(1)}%`;
+    }
+    // From zero
+    return `${word} ${amount ? this.formatAmount(String(delta).replace('-', ''), network) : Math.abs(delta)}`;
   }
 
   generateDetails(analysis) {
     return {
       topSellers: analysis.details.topSellers.map(seller => ({
         ...seller,
-        percentOfTotal: ((seller.amount / analysis.summary.exchangeFlow) * 100).toFixed(1)
+        percentOfTotal: percentOf(seller.amount, analysis.summary.exchangeFlow).toFixed(1)
       })),
       topHolders: analysis.details.topHolders,
+      entities: (analysis.details.entities || []).slice(0, 10),
+      indirectPaths: (analysis.details.indirectPaths || []).slice(0, 10),
+      unlockSchedule: analysis.details.unlockSchedule || [],
+      timeToExchange: analysis.details.timeToExchange || {},
+      netFlows: analysis.details.netFlows || null,
+      topUnbonders: analysis.details.topUnbonders || [],
       exchangeBreakdown: this.generateExchangeBreakdown(analysis),
-      hourlyActivity: this.generateHourlyActivity(analysis)
+      activity: this.generateActivity(analysis)
     };
   }
 
@@ -90,13 +225,14 @@ export class Reporter {
     const exchangeTotals = {};
     
     // Aggregate by exchange
-    for (const [address, flows] of analysis.details.exchangeFlowsByAddress) {
+    // Analyses stored before per-address details were kept as objects have {} here
+    for (const flows of Object.values(analysis.details.exchangeFlowsByAddress || {})) {
       for (const flow of flows.flows) {
         const exchange = flow.exchange.name;
         if (!exchangeTotals[exchange]) {
-          exchangeTotals[exchange] = { deposits: 0, count: 0 };
+          exchangeTotals[exchange] = { deposits: 0n, count: 0 };
         }
-        exchangeTotals[exchange].deposits += flow.amount;
+        exchangeTotals[exchange].deposits += toPlanck(flow.amount);
         exchangeTotals[exchange].count++;
       }
     }
@@ -105,40 +241,47 @@ export class Reporter {
     for (const [exchange, data] of Object.entries(exchangeTotals)) {
       breakdown[exchange] = {
         ...data,
-        percentage: ((data.deposits / analysis.summary.exchangeFlow) * 100).toFixed(1)
+        deposits: data.deposits.toString(),
+        percentage: percentOf(data.deposits, analysis.summary.exchangeFlow).toFixed(1)
       };
     }
     
     return breakdown;
   }
 
-  generateHourlyActivity(analysis) {
-    const hours = [];
-    
-    for (let h = 0; h < 24; h++) {
-      hours.push({
-        hour: h,
-        rewards: analysis.trends.hourlyRewards[h] || 0,
-        exchangeFlow: analysis.trends.hourlyExchangeFlows[h] || 0,
-        sellPressure: analysis.trends.cumulativeSellPressure[h]?.pressure || 0
-      });
-    }
+  // One row per trend bucket of the window; analyses stored before trends were bucketed
+  // by UTC time have none
+  generateActivity(analysis) {
+    const { trends } = analysis;
+    if (!trends.bucket) return [];
     
-    return hours;
+    return trends.cumulativeSellPressure.map(point => ({
+      start: point.start,
+      time: this.formatTime(point.start),
+      rewards: trends.rewards[point.start] || '0',
+      exchangeFlow: trends.exchangeFlows[point.start] || '0',
+      rewardsSold: trends.weightedRewardsSold[point.start] || '0',
+      cumulativeSellPressure: point.pressure
+    }));
   }
 
   generateTrends(analysis) {
-    // Find peak activity hours
-    const peakRewardHour = Object.entries(analysis.trends.hourlyRewards)
-      .sort(([,a], [,b]) => b - a)[0];
+    const { trends } = analysis;
+    if (!trends.bucket) return { bucket: null, timeZone: this.timeZone, peakRewardBucket: null, peakExchangeBucket: null, sellPressureProgression: [] };
     
-    const peakExchangeHour = Object.entries(analysis.trends.hourlyExchangeFlows)
-      .sort(([,a], [,b]) => b - a)[0];
+    // Find peak activity buckets
+    const byPlanckDesc = ([, a], [, b]) => (toPlanck(b) > toPlanck(a) ? 1 : toPlanck(b) < toPlanck(a) ? -1 : 0);
+    const peak = series => {
+      const [start] = Object.entries(series).sort(byPlanckDesc)[0] || [];
+      return start !== undefined ? { start: parseInt(start), time: this.formatTime(parseInt(start)) } : null;
+    };
     
     return {
-      peakRewardHour: peakRewardHour ? parseInt(peakRewardHour[0]) : null,
-      peakExchangeHour: peakExchangeHour ? parseInt(peakExchangeHour[0]) : null,
-      sellPressureProgression: analysis.trends.cumulativeSellPressure
+      bucket: trends.bucket,
+      timeZone: this.timeZone,
+      peakRewardBucket: peak(trends.rewards),
+      peakExchangeBucket: peak(trends.exchangeFlows),
+      sellPressureProgression: trends.cumulativeSellPressure
     };
   }
 
@@ -146,7 +289,7 @@ export class Reporter {
     const recommendations = [];
     const { summary } = analysis;
     
-    if (summary.sellPressurePercent > 40) {
+    if (summary.sellPressurePercent > this.highSellPressure(analysis)) {
       recommendations.push({
         type: 'warning',
         message: 'High sell pressure detected. Consider monitoring for potential price impact.',
@@ -173,13 +316,16 @@ export class Reporter {
     return recommendations;
   }
 
-  generateHTML(analysis) {
+  generateHTML(analysis, trend = null) {
+    const network = this.getNetworkInfo(analysis);
+    const networkName = network.name;
+    
     // Generate a simple HTML report
     return `
 <!DOCTYPE html>
 <html>
 <head>
-  <title>Polkadot Inflation Analysis - ${new Date().toLocaleDateString()}</title>
+  <title>${networkName} Inflation Analysis - ${new Date().toLocaleDateString()}</title>
   <style>
     body { font-family: Arial, sans-serif; margin: 20px; background: #f5f5f5; }
     .container { max-width: 1200px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
@@ -194,23 +340,38 @@ export class Reporter {
     .alert { padding: 15px; margin: 10px 0; border-radius: 5px; }
     .alert-warning { background: #fff3cd; border: 1px solid #ffeaa7; }
     .alert-info { background: #d1ecf1; border: 1px solid #bee5eb; }
+    .stacked-bar { display: flex; height: 28px; margin: 10px 0; border-radius: 5px; overflow: hidden; background: #eee; }
+    .stacked-bar div { color: white; font-size: 12px; line-height: 28px; padding-left: 6px; white-space: nowrap; overflow: hidden; }
   </style>
 </head>
 <body>
   <div class="container">
-    <h1>Polkadot Inflation Analysis Report</h1>
-    <p>Generated: ${new Date().toLocaleString()}</p>
+    <h1>${networkName} Inflation Analysis Report</h1>
+    <p>Generated: ${this.formatTime(Math.floor(Date.now() / 1000))} ${this.timeZone}${analysis.labelSet ? ` · Label set v${analysis.labelSet.version} (${analysis.labelSet.labels} labels)` : ''}</p>
+    ${analysis.params ? `<p>Window: ${this.describeParams(analysis.params)}</p>` : ''}
     
     <h2>Summary</h2>
     <div class="metrics">
       <div class="metric">
-        <div class="metric-value">${analysis.summary.totalRewards.toLocaleString()} DOT</div>
-        <div class="metric-label">Total Rewards (24h)</div>
+        <div class="metric-value">${this.formatAmount(analysis.summary.totalRewards, network)}</div>
+        <div class="metric-label">Total Rewards (${this.getPeriodLabel(analysis.period)})</div>
+      </div>
+      <div class="metric">
+        <div class="metric-value">${this.formatAmount(analysis.summary.liquidRewards ?? analysis.summary.totalRewards, network, { symbol: false })} / ${this.formatAmount(analysis.summary.stakedRewards || 0, network)}</div>
+        <div class="metric-label">Liquid / Auto-Compounded Rewards</div>
       </div>
       <div class="metric">
-        <div class="metric-value">${analysis.summary.exchangeFlow.toLocaleString()} DOT</div>
+        <div class="metric-value">${this.formatAmount(analysis.summary.exchangeFlow, network)}</div>
         <div class="metric-label">Sent to Exchanges</div>
       </div>
+      <div class="metric">
+        <div class="metric-value">${this.formatAmount(analysis.summary.directExchangeFlow ?? analysis.summary.exchangeFlow, network, { symbol: false })} / ${this.formatAmount(analysis.summary.indirectExchangeFlow || 0, network)}</div>
+        <div class="metric-label">Direct / Indirect Exchange Flow</div>
+      </div>
+      <div class="metric">
+        <div class="metric-value">${this.formatAmount(analysis.summary.rewardsSold ?? analysis.summary.exchangeFlow, network, { symbol: false })} / ${this.formatAmount(analysis.summary.principalSold || 0, network)}</div>
+        <div class="metric-label">Rewards Sold / Principal Sold</div>
+      </div>
       <div class="metric">
         <div class="metric-value">${analysis.summary.sellPressurePercent.toFixed(1)}%</div>
         <div class="metric-label">Sell Pressure</div>
@@ -221,19 +382,221 @@ export class Reporter {
       </div>
     </div>
     
+    ${this.generateHistoryHTML(trend, network)}
+    
+    ${this.generateChainFlowHTML(analysis.summary, network)}
+    
+    ${this.generateDestinationHTML(analysis.summary, network)}
+    
+    ${this.generateTimeToExchangeHTML(analysis, network)}
+    
+    ${this.generateActivityHTML(analysis, network)}
+    
+    ${this.generateNetFlowHTML(analysis, network)}
+    
+    ${this.generateReceiverTypeHTML(analysis.summary, network)}
+    
+    ${this.generateFutureSupplyHTML(analysis, network)}
+    
+    ${this.generateDataQualityHTML(analysis.dataQuality)}
+    
     ${this.generateAlertsHTML(analysis.details.suspiciousPatterns)}
     
+    ${this.generateEntitiesHTML(analysis.details.entities, network)}
+    
     <h2>Top Sellers</h2>
-    ${this.generateTableHTML(analysis.details.topSellers, ['address', 'amount', 'quickSell'])}
+    ${this.generateTableHTML(analysis.details.topSellers, ['address', 'amount', 'rewardsSold', 'quickSell'], network)}
+    
+    ${this.generateIndirectPathsHTML(analysis.details.indirectPaths, network)}
     
     <h2>Top Holders</h2>
-    ${this.generateTableHTML(analysis.details.topHolders, ['address', 'rewards'])}
+    <p>${analysis.summary.autoCompounding || 0} auto-compounding, ${analysis.summary.liquidHolders ?? analysis.summary.holders} liquid but holding.</p>
+    ${this.generateTableHTML(analysis.details.topHolders, ['address', 'rewards', 'compounding'], network)}
   </div>
 </body>
 </html>
     `;
   }
 
+  generateChainFlowHTML(summary, network) {
+    const byChain = Object.entries(summary.exchangeFlowByChain || {});
+    if (byChain.length === 0 && !summary.xcmOutflow) return '';
+    
+    return `
+    <h2>Exchange Flow by Chain</h2>
+    <p>${this.formatAmount(summary.xcmOutflow || 0, network)} left the relay chain via XCM.</p>
+    <table>
+      <thead><tr><th>Chain</th><th>Deposits</th></tr></thead>
+      <tbody>${byChain.map(([chain, amount]) => `<tr><td>${chain}</td><td>${this.formatAmount(amount, network)}</td></tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  // Stacked bar of where the flow went, and each category's weighted share of sell pressure
+  generateDestinationHTML(summary, network) {
+    const destinations = Object.entries(summary.byDestination || {}).filter(([, d]) => toPlanck(d.flow) > 0n);
+    if (destinations.length === 0) return '';
+    
+    const weights = summary.sellPressureWeights || {};
+    const colors = { cex: '#E6007A', dex: '#C2185B', lending: '#7B1FA2', liquid_staking: '#1976D2', bridge: '#F57C00', other: '#757575' };
+    
+    return `
+    <h2>Flow by Destination</h2>
+    <div class="stacked-bar">${destinations.map(([key, d]) => `<div style="width: ${percentOf(d.flow, summary.exchangeFlow)}%; background: ${colors[key] || '#999'}" title="${weights[key]?.name || key}">${weights[key]?.name || key}</div>`).join('')}</div>
+    <table>
+      <thead><tr><th>Destination</th><th>Flow</th><th>Rewards</th><th>Principal</th><th>Weight</th><th>Sell Pressure</th></tr></thead>
+      <tbody>${destinations.map(([key, d]) => `<tr><td>${weights[key]?.name || key}</td><td>${this.formatAmount(d.flow, network)}</td><td>${this.formatAmount(d.rewardsSold, network)}</td><td>${this.formatAmount(d.principalSold, network)}</td><td>${weights[key]?.weight ?? '-'}</td><td>${d.sellPressurePercent.toFixed(1)}%</td></tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  generateTimeToExchangeHTML(analysis, network) {
+    const buckets = Object.entries(analysis.details.timeToExchange || {});
+    if (buckets.length === 0) return '';
+    
+    const { summary } = analysis;
+    
+    return `
+    <h2>Time to Exchange</h2>
+    <p>Rewards sold, by time from the reward to the deposit (${(summary.lotMatching || 'fifo').toUpperCase()} lot matching).
+      Median ${(summary.medianTimeToExchange || 0).toFixed(1)}h, average ${(summary.averageTimeToExchange || 0).toFixed(1)}h.
+      ${this.formatAmount(summary.principalSold || 0, network)} of the deposits was principal.</p>
+    <table>
+      <thead><tr><th>Time to Exchange</th><th>Rewards Sold</th><th>Share</th></tr></thead>
+      <tbody>${buckets.map(([bucket, amount]) => `<tr><td>${bucket}</td><td>${this.formatAmount(amount, network)}</td><td>${percentOf(amount, summary.rewardsSold).toFixed(1)}%</td></tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  // This analysis against the previous day and the 7 and 30-day averages
+  generateHistoryHTML(trend, network) {
+    if (!trend?.basis) return '';
+    
+    const labels = { sellPressurePercent: 'Sell Pressure', exchangeFlow: 'Sent to Exchanges', quickSellers: 'Quick Sellers' };
+    const format = (metric, value) => (metric === 'sellPressurePercent' ? `${Number(value).toFixed(1)}%` : metric === 'exchangeFlow' ? this.formatAmount(value, network) : value);
+    const cell = (metric, comparison) => (comparison
+      ? `${format(metric, comparison.value)} <small>(${this.describeChange(comparison, metric, network)})</small>`
+      : '-');
+    
+    return `
+    <h2>Trend ${trend.icon}</h2>
+    <p>Sell pressure is ${trend.direction} against the ${TREND_BASES[trend.basis]} (${trend.avg7d.samples} days). Averages take the last analysis of each day.</p>
+    <table>
+      <thead><tr><th>Metric</th><th>Now</th>${Object.values(TREND_BASES).map(label => `<th>${label[0].toUpperCase()}${label.slice(1)}</th>`).join('')}</tr></thead>
+      <tbody>${Object.keys(TREND_METRICS).map(metric => `<tr><td>${labels[metric]}</td><td>${format(metric, trend.metrics[metric].current)}</td>${Object.keys(TREND_BASES).map(basis => `<td>${cell(metric, trend.metrics[metric][basis])}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  // Buckets with rewards or deposits, with the sell pressure accumulated since the window start
+  generateActivityHTML(analysis, network) {
+    const rows = this.generateActivity(analysis).filter(row => toPlanck(row.rewards) > 0n || toPlanck(row.exchangeFlow) > 0n);
+    if (rows.length === 0) return '';
+    
+    return `
+    <h2>Activity Over Time</h2>
+    <p>Per ${analysis.trends.bucket.granularity} bucket; sell pressure is cumulative from the start of the window.</p>
+    <table>
+      <thead><tr><th>From (${this.timeZone})</th><th>Rewards</th><th>Sent to Exchanges</th><th>Rewards Sold (weighted)</th><th>Cumulative Sell Pressure</th></tr></thead>
+      <tbody>${rows.map(row => `<tr><td>${row.time}</td><td>${this.formatAmount(row.rewards, network)}</td><td>${this.formatAmount(row.exchangeFlow, network)}</td><td>${this.formatAmount(row.rewardsSold, network)}</td><td>${row.cumulativeSellPressure.toFixed(1)}%</td></tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  // Reward-driven deposits of tracked receivers against everything entering and leaving
+  // the exchange wallets
+  generateNetFlowHTML(analysis, network) {
+    const netFlows = analysis.details.netFlows;
+    if (!netFlows) return '';
+    
+    const { summary } = analysis;
+    const exchanges = Object.values(netFlows.byExchange)
+      .sort((a, b) => byAmountDesc({ amount: a.deposits }, { amount: b.deposits }));
+    
+    return `
+    <h2>Exchange Net Flow</h2>
+    <p>${this.formatAmount(summary.exchangeInflow, network)} entered and ${this.formatAmount(summary.exchangeOutflow, network)} left ${netFlows.wallets} exchange wallets (net ${this.formatAmount(summary.netExchangeFlow, network)}).
+      Rewards sold by tracked receivers: ${this.formatAmount(summary.rewardsSold ?? summary.exchangeFlow, network)}, ${(summary.rewardDrivenInflowPercent || 0).toFixed(1)}% of inflows.
+      ${netFlows.complete ? '' : '<br><em>Exchange wallet history is incomplete for this window (page limit or a past window); flows are understated.</em>'}</p>
+    <table>
+      <thead><tr><th>Exchange</th><th>Deposits</th><th>Withdrawals</th><th>Net Flow</th></tr></thead>
+      <tbody>${exchanges.map(e => `<tr><td>${e.name}</td><td>${this.formatAmount(e.deposits, network)} (${e.depositCount})</td><td>${this.formatAmount(e.withdrawals, network)} (${e.withdrawalCount})</td><td>${this.formatAmount(e.net, network)}</td></tr>`).join('')}</tbody>
+    </table>
+    <table>
+      <thead><tr><th>Hour (${this.timeZone})</th><th>Deposits</th><th>Withdrawals</th><th>Net Flow</th></tr></thead>
+      <tbody>${netFlows.hourly.map(h => `<tr><td>${this.formatTime(h.start)}</td><td>${this.formatAmount(h.deposits, network)}</td><td>${this.formatAmount(h.withdrawals, network)}</td><td>${this.formatAmount(h.net, network)}</td></tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  generateReceiverTypeHTML(summary, network) {
+    const groups = summary.byReceiverType || {};
+    if (!groups.pool) return '';
+    
+    const labels = { pool: 'Nomination pool members', direct: 'Validators & direct nominators' };
+    
+    return `
+    <h2>Pool vs Direct Stakers</h2>
+    <p>${this.formatAmount(summary.poolWithdrawals || 0, network)} withdrawn from nomination pools.</p>
+    <table>
+      <thead><tr><th>Receivers</th><th>Rewards</th><th>Liquid</th><th>Sent to Exchanges</th><th>Sell Pressure</th><th>Sellers</th></tr></thead>
+      <tbody>${Object.entries(groups).map(([name, g]) => `<tr><td>${labels[name] || name}</td><td>${this.formatAmount(g.rewards, network)}</td><td>${this.formatAmount(g.liquidRewards, network)}</td><td>${this.formatAmount(g.exchangeFlow, network)}</td><td>${g.sellPressurePercent.toFixed(1)}%</td><td>${g.sellers}/${g.receivers}</td></tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  generateEntitiesHTML(entities, network) {
+    if (!entities || entities.length === 0) return '';
+    
+    return `
+    <h2>Top Entities</h2>
+    <table>
+      <thead><tr><th>Entity</th><th>Addresses</th><th>Rewards</th><th>Sent to Exchanges</th><th>Sell Pressure</th></tr></thead>
+      <tbody>${entities.slice(0, 10).map(e => `<tr><td>${e.entity}</td><td>${e.addresses}</td><td>${this.formatAmount(e.rewards, network)}</td><td>${this.formatAmount(e.exchangeFlow, network)}</td><td>${e.sellPressurePercent.toFixed(1)}%</td></tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  generateFutureSupplyHTML(analysis, network) {
+    const schedule = analysis.details.unlockSchedule || [];
+    const { summary } = analysis;
+    if (schedule.length === 0 && !summary.chilled && toPlanck(summary.unbonded || 0) === 0n) return '';
+    
+    return `
+    <h2>Future Supply</h2>
+    <p>${this.formatAmount(summary.futureSupply || 0, network)} unbonding and sellable once unlocked.
+      This period: ${this.formatAmount(summary.unbonded || 0, network)} unbonded, ${this.formatAmount(summary.rebonded || 0, network)} rebonded, ${this.formatAmount(summary.stakeWithdrawn || 0, network)} withdrawn, ${summary.chilled || 0} stashes chilled.</p>
+    <table>
+      <thead><tr><th>Unlocks on (UTC)</th><th>Amount</th><th>Unbonds</th></tr></thead>
+      <tbody>${schedule.map(day => `<tr><td>${day.date}</td><td>${this.formatAmount(day.amount, network)}</td><td>${day.count}</td></tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  generateIndirectPathsHTML(paths, network) {
+    if (!paths || paths.length === 0) return '';
+    
+    const shorten = address => address.slice(0, 8) + '...' + address.slice(-6);
+    
+    return `
+    <h2>Indirect Exchange Flows</h2>
+    <table>
+      <thead><tr><th>Path</th><th>Exchange</th><th>Hops</th><th>Amount</th></tr></thead>
+      <tbody>${paths.slice(0, 10).map(p => `<tr><td>${p.path.map(shorten).join(' → ')}</td><td>${p.exchange}</td><td>${p.hops}</td><td>${this.formatAmount(p.amount, network)}</td></tr>`).join('')}</tbody>
+    </table>
+    `;
+  }
+
+  generateDataQualityHTML(dataQuality) {
+    if (!dataQuality || dataQuality.complete) return '';
+    
+    return `
+      <div class="alert alert-warning">
+        <strong>Partial data:</strong> reward history was incomplete for ${dataQuality.partialAddresses.length} of ${dataQuality.addressesChecked} addresses, totals may be understated.
+      </div>
+    `;
+  }
+
   generateAlertsHTML(patterns) {
     if (!patterns || patterns.length === 0) return '';
     
@@ -247,15 +610,15 @@ export class Reporter {
     `;
   }
 
-  generateTableHTML(data, columns) {
+  generateTableHTML(data, columns, network) {
     if (!data || data.length === 0) return '<p>No data available</p>';
     
     const headers = columns.map(col => `<th>${col.charAt(0).toUpperCase() + col.slice(1)}</th>`).join('');
     const rows = data.slice(0, 10).map(item => 
       `<tr>${columns.map(col => `<td>${
-        col === 'amount' || col === 'rewards' ? item[col].toLocaleString() + ' DOT' :
-        col === 'quickSell' ? (item[col] ? '✓' : '') :
-        col === 'address' ? item[col].slice(0, 8) + '...' + item[col].slice(-6) :
+        col === 'amount' || col === 'rewards' || col === 'rewardsSold' ? this.formatAmount(item[col] ?? 0, network) :
+        col === 'quickSell' || col === 'compounding' ? (item[col] ? '✓' : '') :
+        col === 'address' ? this.formatAddress(item.address, item.identity) :
         item[col]
       }</td>`).join('')}</tr>`
     ).join('');
@@ -269,17 +632,74 @@ export class Reporter {
   }
 
   printToConsole(report) {
+    const network = this.getNetworkInfo(report);
+    
     console.log('\n' + '═'.repeat(70));
-    console.log(`                    POLKADOT INFLATION ANALYSIS`);
-    console.log(`                         ${new Date().toLocaleDateString()}`);
+    console.log(`                    ${network.name.toUpperCase()} INFLATION ANALYSIS`);
+    console.log(`                         ${this.formatTime(Math.floor(Date.now() / 1000)).slice(0, 10)}`);
+    console.log(`                         Period: ${this.getPeriodLabel(report.period)}`);
+    if (report.labelSet) {
+      console.log(`                         Label set: v${report.labelSet.version}`);
+    }
+    if (report.params) {
+      console.log(`  ${this.describeParams(report.params)}`);
+    }
     console.log('═'.repeat(70));
+    console.log(`\n${report.summary.headline}`);
     
     console.log('\n📊 KEY METRICS:');
-    console.log(`- Total Rewards: ${report.summary.keyMetrics.totalRewards.toLocaleString()} DOT`);
-    console.log(`- Sent to Exchanges: ${report.summary.keyMetrics.exchangeFlow.toLocaleString()} DOT`);
+    console.log(`- Total Rewards: ${this.formatAmount(report.summary.keyMetrics.totalRewards, network)}`);
+    console.log(`    liquid: ${this.formatAmount(report.summary.keyMetrics.liquidRewards, network)}, auto-compounded: ${this.formatAmount(report.summary.keyMetrics.stakedRewards, network)}`);
+    console.log(`- Sent to Exchanges: ${this.formatAmount(report.summary.keyMetrics.exchangeFlow, network)}`);
+    console.log(`    direct: ${this.formatAmount(report.summary.keyMetrics.directExchangeFlow, network)}, via intermediate wallets: ${this.formatAmount(report.summary.keyMetrics.indirectExchangeFlow, network)}`);
+    for (const [chain, amount] of Object.entries(report.summary.keyMetrics.exchangeFlowByChain)) {
+      console.log(`    via ${chain}: ${this.formatAmount(amount, network)}`);
+    }
+    if (toPlanck(report.summary.keyMetrics.xcmOutflow) > 0n) {
+      console.log(`- Sent via XCM: ${this.formatAmount(report.summary.keyMetrics.xcmOutflow, network)}`);
+    }
+    console.log(`- Rewards Sold: ${this.formatAmount(report.summary.keyMetrics.rewardsSold, network)}, principal: ${this.formatAmount(report.summary.keyMetrics.principalSold, network)}`);
     console.log(`- Sell Pressure: ${report.summary.keyMetrics.sellPressure.toFixed(1)}%`);
+    for (const [key, destination] of Object.entries(report.summary.keyMetrics.byDestination)) {
+      if (toPlanck(destination.flow) === 0n) continue;
+      const { name = key, weight = '-' } = report.summary.keyMetrics.sellPressureWeights[key] || {};
+      console.log(`    ${name}: ${this.formatAmount(destination.flow, network)} (${this.formatAmount(destination.rewardsSold, network, { symbol: false })} rewards, weight ${weight}) → ${destination.sellPressurePercent.toFixed(1)}%`);
+    }
+    const { pool, direct } = report.summary.keyMetrics.byReceiverType;
+    if (pool) {
+      console.log(`    pool members: ${pool.sellPressurePercent.toFixed(1)}% of ${this.formatAmount(pool.liquidRewards, network)} liquid, direct stakers: ${(direct?.sellPressurePercent || 0).toFixed(1)}% of ${this.formatAmount(direct?.liquidRewards || 0, network)} liquid`);
+      console.log(`- Withdrawn from Pools: ${this.formatAmount(report.summary.keyMetrics.poolWithdrawals, network)}`);
+    }
+    if (report.details.netFlows) {
+      console.log(`- Exchange Net Flow: ${this.formatAmount(report.summary.keyMetrics.netExchangeFlow, network)} (${this.formatAmount(report.summary.keyMetrics.exchangeInflow, network, { symbol: false })} in, ${this.formatAmount(report.summary.keyMetrics.exchangeOutflow, network, { symbol: false })} out), ${report.summary.keyMetrics.rewardDrivenInflowPercent.toFixed(1)}% of inflows from rewards${report.details.netFlows.complete ? '' : ' (partial)'}`);
+    }
     console.log(`- Quick Sellers: ${report.summary.keyMetrics.quickSellers}`);
-    console.log(`- Holders: ${report.summary.keyMetrics.holders}`);
+    if (report.summary.keyMetrics.medianTimeToExchange !== null && toPlanck(report.summary.keyMetrics.rewardsSold) > 0n) {
+      const buckets = Object.entries(report.details.timeToExchange)
+        .map(([bucket, amount]) => `${bucket} ${percentOf(amount, report.summary.keyMetrics.rewardsSold).toFixed(0)}%`);
+      console.log(`- Time to Exchange (${report.summary.keyMetrics.lotMatching}): median ${report.summary.keyMetrics.medianTimeToExchange.toFixed(1)}h, ${buckets.join(', ')}`);
+    }
+    if (report.trends.peakExchangeBucket) {
+      console.log(`- Peak Exchange Flow: ${report.trends.bucket.granularity} from ${report.trends.peakExchangeBucket.time} ${report.trends.timeZone}`);
+    }
+    if (report.summary.keyMetrics.chilled > 0 || toPlanck(report.summary.keyMetrics.unbonded) > 0n) {
+      console.log(`- Unbonded: ${this.formatAmount(report.summary.keyMetrics.unbonded, network)}, rebonded: ${this.formatAmount(report.summary.keyMetrics.rebonded, network)}, withdrawn: ${this.formatAmount(report.summary.keyMetrics.stakeWithdrawn, network)}, chilled: ${report.summary.keyMetrics.chilled} stashes`);
+    }
+    console.log(`- Holders: ${report.summary.keyMetrics.holders} (${report.summary.keyMetrics.autoCompounding} auto-compounding, ${report.summary.keyMetrics.liquidHolders} liquid)`);
+    
+    const trend = report.summary.trend;
+    if (trend.basis) {
+      console.log(`\n${trend.icon} TREND (sell pressure ${trend.direction}):`);
+      for (const basis of Object.keys(TREND_BASES).filter(basis => trend[basis])) {
+        const changes = Object.keys(TREND_METRICS).map(metric => `${metric === 'sellPressurePercent' ? 'sell pressure' : metric === 'exchangeFlow' ? 'exchange flow' : 'quick sellers'} ${this.describeChange(trend.metrics[metric][basis], metric, network)}`);
+        console.log(`- vs ${TREND_BASES[basis]}: ${changes.join(', ')}`);
+      }
+    }
+    
+    const dataQuality = report.summary.dataQuality;
+    if (dataQuality && !dataQuality.complete) {
+      console.log(`\n⚠️  PARTIAL DATA: reward history incomplete for ${dataQuality.partialAddresses.length}/${dataQuality.addressesChecked} addresses`);
+    }
     
     if (report.summary.alerts.length > 0) {
       console.log('\n🚨 ALERTS:');
@@ -288,14 +708,31 @@ export class Reporter {
       }
     }
     
+    if (report.details.unlockSchedule.length > 0) {
+      console.log(`\n🔓 FUTURE SUPPLY: ${this.formatAmount(report.summary.keyMetrics.futureSupply, network)} unlocking`);
+      for (const day of report.details.unlockSchedule.slice(0, 7)) {
+        console.log(`- ${day.date}: ${this.formatAmount(day.amount, network)}`);
+      }
+      if (report.details.unlockSchedule.length > 7) {
+        console.log(`- ... ${report.details.unlockSchedule.length - 7} more days`);
+      }
+    }
+    
     console.log('\n🏆 TOP SELLERS:');
     for (const seller of report.details.topSellers.slice(0, 5)) {
-      console.log(`- ${seller.address.slice(0, 8)}...${seller.address.slice(-6)}: ${seller.amount.toLocaleString()} DOT${seller.quickSell ? ' (Quick Sell)' : ''}`);
+      console.log(`- ${this.formatAddress(seller.address, seller.identity)}: ${this.formatAmount(seller.amount, network)}${seller.rewardsSold !== undefined ? ` (${this.formatAmount(seller.rewardsSold, network, { symbol: false })} rewards)` : ''}${seller.quickSell ? ' (Quick Sell)' : ''}`);
     }
     
     console.log('\n💎 TOP HOLDERS:');
     for (const holder of report.details.topHolders.slice(0, 5)) {
-      console.log(`- ${holder.address.slice(0, 8)}...${holder.address.slice(-6)}: ${holder.rewards.toLocaleString()} DOT`);
+      console.log(`- ${this.formatAddress(holder.address, holder.identity)}: ${this.formatAmount(holder.rewards, network)}${holder.compounding ? ' (Compounding)' : ''}`);
+    }
+    
+    if (report.details.entities.length > 0) {
+      console.log('\n🏢 TOP ENTITIES:');
+      for (const entity of report.details.entities.slice(0, 5)) {
+        console.log(`- ${entity.entity} (${entity.addresses} addresses): ${this.formatAmount(entity.exchangeFlow, network)} to exchanges, ${entity.sellPressurePercent.toFixed(1)}% sell pressure`);
+      }
     }
     
     console.log('\n' + '═'.repeat(70));
@@ -1,26 +1,103 @@
 import { config } from 'dotenv';
 import cron from 'node-cron';
+import { fileURLToPath } from 'url';
 import { RewardCollector } from './collectors/rewardCollector.js';
+import { ChainRewardCollector } from './collectors/chainRewardCollector.js';
 import { TransferCollector } from './collectors/transferCollector.js';
+import { IncrementalCollector } from './collectors/incrementalCollector.js';
+import { XcmCollector } from './collectors/xcmCollector.js';
+import { PayeeCollector } from './collectors/payeeCollector.js';
+import { UnbondingCollector } from './collectors/unbondingCollector.js';
+import { getIdentityCollector } from './collectors/identityCollector.js';
+import { ExchangeWalletCollector } from './collectors/exchangeWalletCollector.js';
+import { ReceiverRanking } from './collectors/receiverRanking.js';
 import { FlowAnalyzer } from './analyzers/flowAnalyzer.js';
 import { ExchangeDetector } from './analyzers/exchangeDetector.js';
+import { FlowTracer } from './analyzers/flowTracer.js';
+import { aggregateNetFlows, netFlowSeries, NET_FLOW_RESOLUTIONS } from './analyzers/netFlows.js';
 import { Reporter } from './reporter.js';
 import { logger } from './utils/logger.js';
 import { FileStorage } from './utils/storage.js';
+import { getSubscanStats } from './utils/subscanClient.js';
+import { getRecordingMode } from './utils/recorder.js';
+import { nowSeconds } from './utils/clock.js';
+import { getNetwork } from './utils/network.js';
+import { serializeAmounts } from './utils/units.js';
+import { resolveAnalysisParams, selectReceivers } from './analysisParams.js';
 
 config();
 
-class InflationTracker {
+export class InflationTracker {
   constructor() {
-    this.rewardCollector = new RewardCollector();
+    // NETWORK selects the profile (endpoints, decimals, symbol, exchanges) for this run
+    this.network = getNetwork();
+    this.storage = new FileStorage();
+    // On-chain identities name receivers, sellers and exchange wallets; RESOLVE_IDENTITIES=false disables
+    this.identityCollector = process.env.RESOLVE_IDENTITIES === 'false'
+      ? null
+      : getIdentityCollector(this.storage.dataDir);
+    this.rewardCollector = new RewardCollector({ identityCollector: this.identityCollector });
+    // REWARD_SOURCE=chain reads reward events from RPC_ENDPOINT instead of Subscan
+    this.rewardSource = process.env.REWARD_SOURCE === 'chain'
+      ? new ChainRewardCollector()
+      : this.rewardCollector;
+    // Era boundaries always come from the chain
+    this.eraLocator = this.rewardSource instanceof ChainRewardCollector
+      ? this.rewardSource
+      : new ChainRewardCollector();
+    this.poolCollector = this.rewardCollector.poolCollector;
+    // The receiver set is ranked by rewards paid in the last RANKING_ERAS eras (read from the chain)
+    this.receiverRanking = new ReceiverRanking({
+      rewardSource: this.eraLocator,
+      poolCollector: this.poolCollector,
+      identityCollector: this.identityCollector
+    });
+    this.rankingEras = parseInt(process.env.RANKING_ERAS || '4');
     this.transferCollector = new TransferCollector();
+    // Follow tokens sent via XCM to system parachains (Asset Hub); TRACK_XCM=false disables
+    this.xcmCollector = process.env.TRACK_XCM === 'false' ? null : new XcmCollector();
     this.flowAnalyzer = new FlowAnalyzer();
-    this.exchangeDetector = new ExchangeDetector();
-    this.reporter = new Reporter();
-    this.storage = new FileStorage();
+    this.exchangeDetector = new ExchangeDetector({ identityCollector: this.identityCollector });
+    const getCollector = chain => (chain === this.network.key || !this.xcmCollector
+      ? this.transferCollector
+      : this.xcmCollector.getDestCollector(chain));
+    // Multi-hop tracing through intermediate wallets (TRACE_MAX_HOPS=1 disables it)
+    this.flowTracer = new FlowTracer({ exchangeDetector: this.exchangeDetector, getCollector });
+    // Deposits and withdrawals of the exchange wallets themselves, for net exchange flow;
+    // TRACK_EXCHANGE_WALLETS=false disables
+    this.exchangeWalletCollector = process.env.TRACK_EXCHANGE_WALLETS === 'false'
+      ? null
+      : new ExchangeWalletCollector({ exchangeDetector: this.exchangeDetector, getCollector, dataDir: this.storage.dataDir });
+    // Days of daily net flow kept in data/flows/net-flows.json (hourly buckets cover the last week)
+    this.retentionDays = parseInt(process.env.DATA_RETENTION_DAYS || '90');
+    this.reporter = new Reporter({ identityCollector: this.identityCollector });
+    // Reward destinations (staking.payee) separate compounded from liquid rewards;
+    // RESOLVE_PAYEES=false treats every reward as liquid
+    this.payeeCollector = process.env.RESOLVE_PAYEES === 'false'
+      ? null
+      : new PayeeCollector({ dataDir: this.storage.dataDir });
+    // Unbonds of tracked stashes project when stake becomes sellable; TRACK_UNBONDING=false disables
+    this.unbondingCollector = process.env.TRACK_UNBONDING === 'false' ? null : new UnbondingCollector();
+    
+    // Incremental collection keeps per-address cursors and a raw event log under data/,
+    // so each cycle only fetches new events. INCREMENTAL_COLLECTION=false refetches everything.
+    this.incrementalCollector = process.env.INCREMENTAL_COLLECTION === 'false'
+      ? null
+      : new IncrementalCollector({
+        rewardSource: this.rewardSource,
+        transferCollector: this.transferCollector,
+        xcmCollector: this.xcmCollector,
+        poolCollector: this.poolCollector,
+        unbondingCollector: this.unbondingCollector,
+        dataDir: this.storage.dataDir
+      });
     
     this.trackingInterval = parseInt(process.env.TRACKING_INTERVAL_MINUTES || '60');
     this.reportInterval = parseInt(process.env.REPORT_INTERVAL_HOURS || '24');
+    // ANALYSIS_MODE=era analyzes each completed era instead of a rolling 24h window
+    this.analysisMode = process.env.ANALYSIS_MODE || 'rolling';
+    // Nomination pool members added to the receiver set on first run (0 disables)
+    this.poolMemberLimit = parseInt(process.env.POOL_MEMBER_LIMIT || '200');
   }
 
   async initialize() {
@@ -29,68 +106,340 @@ class InflationTracker {
     // Load exchange addresses
     await this.exchangeDetector.loadExchangeAddresses();
     
-    // Load or fetch top reward receivers
+    // Load or fetch top reward receivers. Without a tracked set this ranks receivers over
+    // RANKING_ERAS eras of blocks, which needs an archive node at RPC_ENDPOINT
     const topReceivers = await this.storage.loadTopReceivers();
     if (!topReceivers || topReceivers.length === 0) {
       logger.info('Fetching top reward receivers...');
-      const receivers = await this.rewardCollector.fetchTopRewardReceivers();
-      await this.storage.saveTopReceivers(receivers);
+      await this.rebuildReceivers();
     }
     
     logger.info('Initialization complete');
   }
 
-  async runTrackingCycle() {
+  // Replaces the tracked set with the top reward earners of the last `eras` completed eras,
+  // plus the largest pool members. byBalance takes the richest validators instead, which
+  // needs only Subscan rather than an archive node.
+  async rebuildReceivers({ eras = this.rankingEras, limit = 1000, poolMembers = this.poolMemberLimit, includePools = false, byBalance = false } = {}) {
+    let receivers;
+    let meta;
+    
+    if (byBalance) {
+      receivers = await this.rewardCollector.fetchValidatorsByBalance(limit);
+      meta = { source: 'balance' };
+    } else {
+      const ranking = await this.receiverRanking.rank({ eras, limit, includePools });
+      receivers = ranking.receivers;
+      meta = { source: 'reward-ranking', fromEra: ranking.fromEra, toEra: ranking.toEra, failedBlocks: ranking.failedBlocks };
+    }
+    
+    // Members that claimed rewards are already ranked; add the largest by stake as well
+    if (poolMembers > 0) {
+      const ranked = new Set(receivers.map(receiver => receiver.address));
+      const members = await this.poolCollector.fetchTopPoolMembers(poolMembers);
+      receivers.push(...members.filter(member => !ranked.has(member.address)));
+      meta.poolMemberScan = this.poolCollector.lastMemberScan;
+    }
+    
+    await this.storage.saveTopReceivers(receivers, meta);
+    return receivers;
+  }
+
+  // params (resolveAnalysisParams) sets the window, receiver subset and thresholds;
+  // the default is the last 24h over every tracked receiver
+  async runTrackingCycle(params = resolveAnalysisParams()) {
     try {
       logger.info('Starting tracking cycle...');
       
       // Step 1: Get top reward receivers
-      const topReceivers = await this.storage.loadTopReceivers();
-      logger.info(`Tracking ${topReceivers.length} top reward receivers`);
+      const topReceivers = selectReceivers(await this.loadReceivers(), params);
+      logger.info(`Tracking ${topReceivers.length} top reward receivers over ${params.hours}h`);
       
-      // Step 2: Fetch recent rewards for these addresses
-      const recentRewards = await this.rewardCollector.fetchRecentRewards(topReceivers);
+      // Step 2-3: Rewards and outgoing transfers of these addresses
+      const { rewards: recentRewards, transfers, xcmTransfers, poolWithdrawals, stakingEvents, completeness } = await this.collectWindow(topReceivers, params);
       logger.info(`Found ${recentRewards.length} recent reward events`);
+      await this.annotateRewards(recentRewards);
+      const payouts = await this.collectPayoutTransfers(recentRewards, topReceivers, params.start, params.end);
+      transfers.push(...payouts.transfers);
+      logger.info(`Tracked ${transfers.length} transfers (${xcmTransfers.length} XCM transfers followed)`);
       
-      // Step 3: Track transfers from reward addresses
-      const transfers = await this.transferCollector.trackTransfers(topReceivers);
-      logger.info(`Tracked ${transfers.length} transfers`);
-      
-      // Step 4: Detect exchange transfers
-      const exchangeFlows = await this.exchangeDetector.detectExchangeTransfers(transfers);
+      // Step 4: Detect exchange transfers, direct and through intermediate wallets
+      const exchangeFlows = await this.detectExchangeFlows(transfers, params.end, [...topReceivers, ...payouts.accounts]);
       logger.info(`Detected ${exchangeFlows.length} exchange transfers`);
       
+      // Step 4b: Everything entering and leaving the exchange wallets over the same window
+      const exchangeWallets = await this.collectExchangeWallets(params.start, params.end);
+      
       // Step 5: Analyze flows
       const analysis = await this.flowAnalyzer.analyzeFlows({
         rewards: recentRewards,
         transfers: transfers,
         exchangeFlows: exchangeFlows,
-        topReceivers: topReceivers
+        topReceivers: topReceivers,
+        xcmTransfers: xcmTransfers,
+        poolWithdrawals: poolWithdrawals,
+        stakingEvents: stakingEvents,
+        rewardCompleteness: completeness,
+        labelSet: this.exchangeDetector.getLabelSetVersion(),
+        exchangeWallets: exchangeWallets,
+        params: params
       });
       
       // Step 6: Save analysis
       await this.storage.saveAnalysis(analysis);
+      await this.updateNetFlows();
       
       // Log summary
       logger.info('\n' + this.formatQuickSummary(analysis));
+      logger.debug('Subscan API usage:', getSubscanStats());
       
+      return analysis;
     } catch (error) {
       logger.error('Error in tracking cycle:', error);
+      return null;
+    }
+  }
+
+  // Cursors only move forward, so the event log covers the rolling window; any other
+  // window (analyze --hours/--start/--end) is fetched in full
+  async collectWindow(topReceivers, { start: startTime, end: endTime, rolling }) {
+    if (this.incrementalCollector && rolling) {
+      return this.incrementalCollector.collect(topReceivers, startTime, endTime);
+    }
+    
+    const rewards = await this.rewardSource.fetchRewardsInWindow(topReceivers, startTime, endTime);
+    const transfers = await this.transferCollector.trackTransfersInWindow(topReceivers, startTime, endTime);
+    
+    let xcmTransfers = [];
+    if (this.xcmCollector) {
+      xcmTransfers = await this.xcmCollector.trackXcmTransfers(topReceivers, startTime, endTime);
+      transfers.push(...await this.xcmCollector.followOnDestination(xcmTransfers, endTime));
     }
+    
+    const poolWithdrawals = await this.poolCollector.trackWithdrawals(
+      this.getPoolMembers(topReceivers), startTime, endTime
+    );
+    
+    const stakingEvents = await this.collectStakingEvents(topReceivers, endTime);
+    
+    return { rewards, transfers, xcmTransfers, poolWithdrawals, stakingEvents, completeness: this.rewardSource.lastCompleteness };
+  }
+
+  // Unbonds over the whole unbonding period before endTime, so pending unlocks can be projected
+  async collectStakingEvents(topReceivers, endTime) {
+    if (!this.unbondingCollector) {
+      return [];
+    }
+    const stashes = topReceivers.filter(receiver => receiver.type !== 'pool_member');
+    return this.unbondingCollector.trackStakingEvents(
+      stashes, endTime - this.unbondingCollector.unbondingSeconds, endTime
+    );
+  }
+
+  // Receivers from any source (imports included) are named by their on-chain identity
+  async loadReceivers() {
+    const receivers = await this.storage.loadTopReceivers();
+    this.exchangeDetector.setTrackedReceivers(receivers);
+    if (this.identityCollector) {
+      await this.identityCollector.annotateReceivers(receivers);
+    }
+    return receivers;
+  }
+
+  async annotateRewards(rewards) {
+    if (this.payeeCollector) {
+      await this.payeeCollector.annotateRewards(rewards);
+    }
+    return rewards;
+  }
+
+  // Rewards paid to another account (payee Account) are sold from there, so its outgoing
+  // transfers are collected as well, attributed to the receiver (origin)
+  async collectPayoutTransfers(rewards, receivers, startTime, endTime) {
+    if (!this.payeeCollector) {
+      return { transfers: [], accounts: [] };
+    }
+    
+    const tracked = new Set(receivers.map(receiver => receiver.address));
+    const accounts = Array.from(this.payeeCollector.payoutAccounts(rewards))
+      .filter(([account]) => !tracked.has(account));
+    const transfers = [];
+    
+    for (const [account, receiver] of accounts) {
+      const { transfers: sent } = await this.transferCollector.fetchTransferPages(account, startTime, endTime, 'from');
+      transfers.push(...sent.map(transfer => ({ ...transfer, origin: receiver, payoutAccount: account })));
+    }
+    
+    if (accounts.length > 0) {
+      logger.info(`Followed ${transfers.length} transfers from ${accounts.length} payout accounts`);
+    }
+    return { transfers, accounts: accounts.map(([address, receiver]) => ({ address, payoutOf: receiver })) };
+  }
+
+  getPoolMembers(receivers) {
+    return receivers.filter(receiver => receiver.type === 'pool_member');
+  }
+
+  async detectExchangeFlows(transfers, endTime, receivers) {
+    const exchangeFlows = await this.exchangeDetector.detectExchangeTransfers(transfers);
+    const indirectFlows = await this.flowTracer.traceIndirectFlows(transfers, endTime, receivers);
+    return [...exchangeFlows, ...indirectFlows];
+  }
+
+  async collectExchangeWallets(startTime, endTime) {
+    if (!this.exchangeWalletCollector) {
+      return null;
+    }
+    return this.exchangeWalletCollector.collect(startTime, endTime);
+  }
+
+  // Rebuilds the persisted net flow series from the exchange wallet log; an era analysis
+  // adds its era's totals
+  async updateNetFlows(eraAnalysis = null) {
+    if (!this.exchangeWalletCollector) {
+      return;
+    }
+    
+    const endTime = nowSeconds();
+    const series = await this.storage.loadNetFlows();
+    const hourly = this.exchangeWalletCollector.readWindow(endTime - 7 * 86400, endTime);
+    const daily = this.exchangeWalletCollector.readWindow(endTime - this.retentionDays * 86400, endTime);
+    
+    const eras = series.eras || {};
+    if (eraAnalysis?.details.netFlows) {
+      const { era, start, end } = eraAnalysis.period;
+      eras[era] = serializeAmounts({ start, end, ...aggregateNetFlows(this.exchangeWalletCollector.readWindow(start, end)) });
+    }
+    
+    await this.storage.saveNetFlows(serializeAmounts({
+      hourly: netFlowSeries(hourly, NET_FLOW_RESOLUTIONS.hour),
+      daily: netFlowSeries(daily, NET_FLOW_RESOLUTIONS.day),
+      eras
+    }));
+  }
+
+  // options are analysis parameters other than the window (receivers, limit, thresholds)
+  async runEraCycle(era = null, options = {}) {
+    try {
+      const targetEra = era ?? (await this.eraLocator.getActiveEra()) - 1; // Last completed era
+      logger.info(`Starting analysis for era ${targetEra}...`);
+      
+      // Step 1: Resolve the era's block range
+      const eraRange = await this.eraLocator.getEraBlockRange(targetEra);
+      if (!eraRange.complete) {
+        logger.warn(`Era ${targetEra} is still in progress, analysis will be partial`);
+      }
+      logger.info(`Era ${targetEra}: blocks ${eraRange.startBlock}-${eraRange.endBlock}`);
+      
+      const params = resolveAnalysisParams({ ...options, start: eraRange.startTime, end: eraRange.endTime });
+      const topReceivers = selectReceivers(await this.loadReceivers(), params);
+      const inEra = item => item.blockNumber >= eraRange.startBlock && item.blockNumber <= eraRange.endBlock;
+      
+      // Step 2: Rewards and transfers inside the era's blocks
+      const rewards = (await this.rewardSource.fetchRewardsInWindow(
+        topReceivers, eraRange.startTime, eraRange.endTime
+      )).filter(inEra);
+      const transfers = (await this.transferCollector.trackTransfersInWindow(
+        topReceivers, eraRange.startTime, eraRange.endTime
+      )).filter(inEra);
+      
+      // XCM transfers leave within the era (relay blocks); onward transfers are followed until era end
+      const xcmTransfers = this.xcmCollector
+        ? (await this.xcmCollector.trackXcmTransfers(topReceivers, eraRange.startTime, eraRange.endTime)).filter(inEra)
+        : [];
+      if (xcmTransfers.length > 0) {
+        transfers.push(...await this.xcmCollector.followOnDestination(xcmTransfers, eraRange.endTime));
+      }
+      const poolWithdrawals = (await this.poolCollector.trackWithdrawals(
+        this.getPoolMembers(topReceivers), eraRange.startTime, eraRange.endTime
+      )).filter(inEra);
+      const stakingEvents = await this.collectStakingEvents(topReceivers, eraRange.endTime);
+      logger.info(`Era ${targetEra}: ${rewards.length} rewards, ${transfers.length} transfers`);
+      await this.annotateRewards(rewards);
+      const payouts = await this.collectPayoutTransfers(rewards, topReceivers, eraRange.startTime, eraRange.endTime);
+      transfers.push(...payouts.transfers.filter(inEra));
+      
+      // Step 3: Detect and analyze
+      const exchangeFlows = await this.detectExchangeFlows(transfers, eraRange.endTime, [...topReceivers, ...payouts.accounts]);
+      const exchangeWallets = await this.collectExchangeWallets(eraRange.startTime, eraRange.endTime);
+      const analysis = await this.flowAnalyzer.analyzeFlows({
+        rewards: rewards,
+        transfers: transfers,
+        exchangeFlows: exchangeFlows,
+        topReceivers: topReceivers,
+        xcmTransfers: xcmTransfers,
+        poolWithdrawals: poolWithdrawals,
+        stakingEvents: stakingEvents,
+        rewardCompleteness: this.rewardSource.lastCompleteness,
+        labelSet: this.exchangeDetector.getLabelSetVersion(),
+        exchangeWallets: exchangeWallets,
+        params: params,
+        period: {
+          type: 'era',
+          era: targetEra,
+          start: eraRange.startTime,
+          end: eraRange.endTime,
+          startBlock: eraRange.startBlock,
+          endBlock: eraRange.endBlock,
+          complete: eraRange.complete
+        }
+      });
+      
+      // Step 4: Save keyed by era
+      await this.storage.saveEraAnalysis(analysis);
+      await this.updateNetFlows(analysis);
+      logger.info('\n' + this.formatQuickSummary(analysis));
+      
+      return analysis;
+    } catch (error) {
+      logger.error('Error in era cycle:', error);
+      return null;
+    }
+  }
+
+  // Analyzes the last completed era once; later cycles in the same era are no-ops
+  async runLatestEraCycle() {
+    try {
+      const lastCompleted = (await this.eraLocator.getActiveEra()) - 1;
+      
+      if (await this.storage.loadEraAnalysis(lastCompleted)) {
+        logger.debug(`Era ${lastCompleted} already analyzed`);
+        return null;
+      }
+      
+      const analysis = await this.runEraCycle(lastCompleted);
+      if (analysis) {
+        await this.reporter.generateReport(analysis, `era-${lastCompleted}`);
+      }
+      return analysis;
+    } catch (error) {
+      logger.error('Error checking for completed era:', error);
+      return null;
+    }
+  }
+
+  runCycle() {
+    return this.analysisMode === 'era' ? this.runLatestEraCycle() : this.runTrackingCycle();
   }
 
   formatQuickSummary(analysis) {
-    const { summary } = analysis;
+    const { summary, dataQuality } = analysis;
+    const network = this.reporter.getNetworkInfo(analysis);
+    const partialNote = dataQuality && !dataQuality.complete
+      ? `\n⚠️  Partial reward data for ${dataQuality.partialAddresses.length} addresses`
+      : '';
     return `
 ══════════════════════════════════════════════════
          INFLATION TRACKING SUMMARY
 ══════════════════════════════════════════════════
-📈 24H METRICS:
-- Total Rewards: ${summary.totalRewards.toLocaleString()} DOT
-- Sent to Exchanges: ${summary.exchangeFlow.toLocaleString()} DOT
-- Sell Pressure: ${summary.sellPressurePercent.toFixed(1)}%
+📈 ${network.name.toUpperCase()} ${this.reporter.getPeriodLabel(analysis.period).toUpperCase()} METRICS:
+- Total Rewards: ${this.reporter.formatAmount(summary.totalRewards, network)} (${this.reporter.formatAmount(summary.liquidRewards ?? summary.totalRewards, network, { symbol: false })} liquid)
+- Sent to Exchanges: ${this.reporter.formatAmount(summary.exchangeFlow, network)}
+- Rewards Sold: ${this.reporter.formatAmount(summary.rewardsSold ?? summary.exchangeFlow, network)} (${this.reporter.formatAmount(summary.principalSold || 0, network, { symbol: false })} principal)
+- Sell Pressure: ${summary.sellPressurePercent.toFixed(1)}%${analysis.details.netFlows ? `
+- Net Exchange Flow: ${this.reporter.formatAmount(summary.netExchangeFlow, network)} (${this.reporter.formatAmount(summary.exchangeInflow, network, { symbol: false })} in, ${this.reporter.formatAmount(summary.exchangeOutflow, network, { symbol: false })} out)` : ''}
 - Quick Sellers: ${summary.quickSellers} addresses
-- Holders: ${summary.holders} addresses
+- Holders: ${summary.holders} addresses${partialNote}
 ══════════════════════════════════════════════════`;
   }
 
@@ -105,40 +454,73 @@ class InflationTracker {
     }
   }
 
+  // Single collect → detect → analyze → report pass, used with SUBSCAN_MODE=record/replay
+  async runOnce() {
+    const analysis = await this.runTrackingCycle();
+    if (analysis) {
+      await this.reporter.generateReport(analysis);
+    }
+    return analysis;
+  }
+
   start() {
-    logger.info(`Starting inflation tracker...`);
+    logger.info(`Starting inflation tracker for ${this.network.name}...`);
     logger.info(`Tracking interval: ${this.trackingInterval} minutes`);
     logger.info(`Report interval: ${this.reportInterval} hours`);
+    logger.info(`Analysis mode: ${this.analysisMode}`);
+    
+    // Only the last completed era is analyzed each cycle, so slower cycles skip eras
+    if (this.analysisMode === 'era' && this.trackingInterval > this.network.eraHours * 60) {
+      logger.warn(`Tracking interval (${this.trackingInterval} min) is longer than a ${this.network.name} era (${this.network.eraHours}h), some eras will be skipped`);
+    }
     
     // Run initial cycle
-    this.runTrackingCycle();
+    this.runCycle();
     
     // Schedule tracking cycles
     cron.schedule(`*/${this.trackingInterval} * * * *`, () => {
-      this.runTrackingCycle();
+      this.runCycle();
     });
     
-    // Schedule reports
-    cron.schedule(`0 */${this.reportInterval} * * *`, () => {
-      this.generateReport();
-    });
+    // Schedule reports (era mode reports once per completed era)
+    if (this.analysisMode !== 'era') {
+      cron.schedule(`0 */${this.reportInterval} * * *`, () => {
+        this.generateReport();
+      });
+    }
     
     logger.info('Tracker started successfully');
   }
 }
 
-// Main execution
-const tracker = new InflationTracker();
+export async function startTracker({ once = false } = {}) {
+  // A recording has one clock (manifest.json), so every cycle would see the same window
+  if (!once && getRecordingMode() === 'record') {
+    throw new Error('SUBSCAN_MODE=record records a single cycle, run track --once');
+  }
+  
+  const tracker = new InflationTracker();
+  await tracker.initialize();
+
+  if (once) {
+    return tracker.runOnce();
+  }
+
+  tracker.start();
+  return null;
+}
 
-(async () => {
-  try {
-    await tracker.initialize();
-    tracker.start();
-  } catch (error) {
+// Main execution when run directly (npm run track)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startTracker({ once: process.argv.includes('--once') }).then((analysis) => {
+    if (process.argv.includes('--once')) {
+      process.exit(analysis ? 0 : 1);
+    }
+  }).catch((error) => {
     logger.error('Failed to start tracker:', error);
     process.exit(1);
-  }
-})();
+  });
+}
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
@@ -0,0 +1,91 @@
+import { decodeAddress, encodeAddress } from '@polkadot/util-crypto';
+import { isHex, u8aToHex } from '@polkadot/util';
+import { logger } from './logger.js';
+import { getNetwork } from './network.js';
+
+/**
+ * Addresses are compared by public key. Every address entering the pipeline (config,
+ * imports, API responses) is decoded, checksum-verified and re-encoded with the
+ * network's SS58 prefix, so a Kusama- or generic-prefix encoding (or a 0x public key,
+ * as some XCM messages carry) of the same key ends up as the same string.
+ */
+
+// Decoding hashes the checksum; addresses repeat a lot, so results are cached
+const cache = new Map();
+const CACHE_LIMIT = 100000;
+
+// address → { address (network encoding), publicKey } or { error }
+function decode(address, ss58Prefix) {
+  const cacheKey = `${ss58Prefix}:${address}`;
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  let result;
+  try {
+    if (typeof address !== 'string' || address.trim() === '') {
+      throw new Error('empty address');
+    }
+    const text = address.trim();
+    if (isHex(text) && text.length !== 66) {
+      throw new Error('not a 32-byte public key');
+    }
+
+    const publicKey = decodeAddress(text);
+    result = { address: encodeAddress(publicKey, ss58Prefix), publicKey: u8aToHex(publicKey) };
+  } catch (error) {
+    // "Decoding <address>: Invalid decoded address checksum" → the reason only
+    result = { error: error.message.replace(/^Decoding .*?: /, '') };
+  }
+
+  if (cache.size >= CACHE_LIMIT) cache.clear();
+  cache.set(cacheKey, result);
+  return result;
+}
+
+// Address in the network's encoding, or null if it is not a valid address
+export function normalizeAddress(address, ss58Prefix = getNetwork().ss58Prefix) {
+  return decode(address, ss58Prefix).address || null;
+}
+
+export function toPublicKey(address) {
+  return decode(address, 42).publicKey || null;
+}
+
+export function isValidAddress(address) {
+  return !decode(address, 42).error;
+}
+
+export function sameAddress(a, b) {
+  const key = toPublicKey(a);
+  return key !== null && key === toPublicKey(b);
+}
+
+// Why an address was rejected, e.g. "Invalid decoded address checksum"
+export function addressError(address) {
+  return decode(address, 42).error || null;
+}
+
+// Splits addresses into normalized valid ones (duplicates by key removed) and rejected
+// ones with the reason. Rejections are logged under label unless quiet.
+export function validateAddresses(addresses, { label = 'addresses', quiet = false } = {}) {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+
+  for (const address of addresses) {
+    const normalized = normalizeAddress(address);
+    if (!normalized) {
+      invalid.push({ address, reason: addressError(address) });
+    } else if (!seen.has(normalized)) {
+      seen.add(normalized);
+      valid.push(normalized);
+    }
+  }
+
+  if (invalid.length > 0 && !quiet) {
+    logger.warn(`Rejected ${invalid.length} invalid ${label}: ${invalid.slice(0, 5).map(item => `${item.address} (${item.reason})`).join(', ')}${invalid.length > 5 ? ', ...' : ''}`);
+  }
+
+  return { valid, invalid };
+}
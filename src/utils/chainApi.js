@@ -0,0 +1,52 @@
+import { ApiPromise, WsProvider } from '@polkadot/api';
+import { logger } from './logger.js';
+import { getNetwork } from './network.js';
+
+// One connection per endpoint, shared by every on-chain collector
+const connections = new Map();
+
+export function getChainApi(endpoint = getNetwork().rpcEndpoint) {
+  if (!connections.has(endpoint)) {
+    logger.info(`Connecting to ${endpoint}...`);
+    const connection = connect(endpoint);
+    // A failed connection is tried again by the next caller
+    connection.catch(() => connections.delete(endpoint));
+    connections.set(endpoint, connection);
+  }
+
+  return connections.get(endpoint);
+}
+
+// ApiPromise.create keeps retrying an unreachable endpoint and never rejects, so it is
+// given RPC_CONNECT_TIMEOUT_SECONDS before the provider is closed
+async function connect(endpoint) {
+  const timeoutSeconds = parseInt(process.env.RPC_CONNECT_TIMEOUT_SECONDS || '30');
+  const provider = new WsProvider(endpoint);
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No connection to ${endpoint} after ${timeoutSeconds}s`)), timeoutSeconds * 1000);
+  });
+
+  try {
+    return await Promise.race([ApiPromise.create({ provider }), timeout]);
+  } catch (error) {
+    await provider.disconnect().catch(() => {});
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export async function disconnectChainApis() {
+  for (const [endpoint, apiPromise] of connections) {
+    try {
+      const api = await apiPromise;
+      await api.disconnect();
+      logger.info(`Disconnected from ${endpoint}`);
+    } catch (error) {
+      logger.error(`Error disconnecting from ${endpoint}:`, error.message);
+    }
+  }
+
+  connections.clear();
+}
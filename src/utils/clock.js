@@ -0,0 +1,21 @@
+import { getRecordingMode, loadManifest, createManifest } from './recorder.js';
+
+let frozenNow = null;
+let initialized = false;
+
+// Current unix time in seconds. Frozen to the recording time in record/replay
+// mode so that time windows (and therefore request bodies) are reproducible.
+export function nowSeconds() {
+  if (!initialized) {
+    initialized = true;
+    const mode = getRecordingMode();
+
+    if (mode === 'replay') {
+      frozenNow = loadManifest().recordedAt;
+    } else if (mode === 'record') {
+      frozenNow = createManifest(Math.floor(Date.now() / 1000)).recordedAt;
+    }
+  }
+
+  return frozenNow ?? Math.floor(Date.now() / 1000);
+}
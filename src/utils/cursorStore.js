@@ -0,0 +1,45 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import { logger } from './logger.js';
+
+// Last collected position per endpoint and address, e.g. "rewards:1abc..." →
+// { blockNumber, eventId, timestamp, updatedAt }. timestamp is the time up to
+// which the address is fully synced.
+export class CursorStore {
+  constructor(dataDir) {
+    this.filePath = join(dataDir, 'cursors', 'cursors.json');
+    mkdirSync(join(dataDir, 'cursors'), { recursive: true });
+    this.cursors = this.load();
+  }
+
+  load() {
+    if (!existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      logger.error('Failed to load cursors, starting from scratch:', error.message);
+      return {};
+    }
+  }
+
+  get(endpoint, address) {
+    return this.cursors[`${endpoint}:${address}`] || null;
+  }
+
+  set(endpoint, address, cursor) {
+    this.cursors[`${endpoint}:${address}`] = {
+      ...cursor,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  // Write to a temp file and rename, so a crash never leaves a truncated cursor file
+  save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(this.cursors, null, 2));
+    renameSync(tmpPath, this.filePath);
+  }
+}
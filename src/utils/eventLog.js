@@ -0,0 +1,145 @@
+import { readFileSync, appendFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, openSync, readSync, closeSync, statSync } from 'fs';
+import { join } from 'path';
+import { logger } from './logger.js';
+import { getNetwork } from './network.js';
+import { nowSeconds } from './clock.js';
+
+const dayOf = timestamp => new Date((timestamp || 0) * 1000).toISOString().split('T')[0];
+
+// Append-only JSONL log of raw events, de-duplicated by id across cycles. Events are
+// filed by the UTC day of their timestamp (data/raw/<name>/<date>.jsonl), so a window
+// only reads its own days and days older than DATA_RETENTION_DAYS are dropped.
+export class EventLog {
+  constructor(dataDir, name, idOf, { retentionDays = parseInt(process.env.DATA_RETENTION_DAYS || '90') } = {}) {
+    this.dir = join(dataDir, 'raw', name);
+    mkdirSync(this.dir, { recursive: true });
+    this.name = name;
+    this.idOf = idOf;
+    this.retentionDays = retentionDays;
+    // Ids per day, loaded when a day is first appended to (an event's day never changes)
+    this.seen = new Map();
+
+    this.migrate(join(dataDir, 'raw', `${name}.jsonl`));
+    this.prune();
+  }
+
+  // Logs written as one file before they were split by day
+  migrate(legacyPath) {
+    if (!existsSync(legacyPath)) return;
+
+    const events = this.readFile(legacyPath);
+    this.append(events);
+    unlinkSync(legacyPath);
+    logger.info(`Split ${events.length} events of ${legacyPath} into daily files`);
+  }
+
+  prune() {
+    const cutoff = dayOf(nowSeconds() - this.retentionDays * 86400);
+    for (const file of readdirSync(this.dir)) {
+      if (file.endsWith('.jsonl') && file.slice(0, -'.jsonl'.length) < cutoff) {
+        unlinkSync(join(this.dir, file));
+        logger.debug(`Dropped ${this.name} events of ${file} (older than ${this.retentionDays} days)`);
+      }
+    }
+  }
+
+  dayPath(day) {
+    return join(this.dir, `${day}.jsonl`);
+  }
+
+  readFile(filePath) {
+    if (!existsSync(filePath)) {
+      return [];
+    }
+
+    const events = [];
+    for (const line of readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-write can leave a partial last line
+        logger.warn(`Skipping malformed line in ${filePath}`);
+      }
+    }
+    return events;
+  }
+
+  readAll() {
+    return readdirSync(this.dir)
+      .filter(file => file.endsWith('.jsonl'))
+      .sort()
+      .flatMap(file => this.readFile(join(this.dir, file)));
+  }
+
+  seenOn(day) {
+    if (!this.seen.has(day)) {
+      this.seen.set(day, new Set(this.readFile(this.dayPath(day)).map(this.idOf)));
+    }
+    return this.seen.get(day);
+  }
+
+  // Returns the number of events that were new
+  append(events) {
+    const freshByDay = new Map();
+    for (const event of events) {
+      const day = dayOf(event.timestamp);
+      const seen = this.seenOn(day);
+      const id = this.idOf(event);
+      if (seen.has(id)) continue;
+
+      seen.add(id);
+      if (!freshByDay.has(day)) freshByDay.set(day, []);
+      freshByDay.get(day).push(event);
+    }
+
+    let added = 0;
+    for (const [day, fresh] of freshByDay) {
+      const filePath = this.dayPath(day);
+      // After a partial last line the first new event would be glued onto it
+      const separator = endsWithNewline(filePath) ? '' : '\n';
+      appendFileSync(filePath, separator + fresh.map(event => JSON.stringify(event)).join('\n') + '\n');
+      added += fresh.length;
+    }
+
+    return added;
+  }
+
+  readWindow(startTime, endTime, filter = () => true) {
+    const events = [];
+    for (let day = startTime - (startTime % 86400); day <= endTime; day += 86400) {
+      events.push(...this.readFile(this.dayPath(dayOf(day))));
+    }
+    return events.filter(event =>
+      event.timestamp >= startTime && event.timestamp <= endTime && filter(event)
+    );
+  }
+}
+
+// Missing and empty files count as ending in a newline
+function endsWithNewline(filePath) {
+  if (!existsSync(filePath)) return true;
+
+  const { size } = statSync(filePath);
+  if (size === 0) return true;
+
+  const fd = openSync(filePath, 'r');
+  try {
+    const last = Buffer.alloc(1);
+    readSync(fd, last, 0, 1, size - 1);
+    return last[0] === 0x0a;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+export const rewardEventId = reward =>
+  reward.eventId || `${reward.blockNumber}-${reward.address}-${reward.amount}`;
+
+// Extrinsic indexes are per chain, so non-relay transfers are prefixed with their chain
+export const transferEventId = transfer => {
+  const id = transfer.eventId || `${transfer.blockNumber}-${transfer.extrinsicHash}-${transfer.from}-${transfer.to}-${transfer.amount}`;
+  return transfer.chain && transfer.chain !== getNetwork().key ? `${transfer.chain}:${id}` : id;
+};
+
+export const xcmEventId = xcm => xcm.messageHash || `${xcm.blockNumber}-${xcm.from}-${xcm.to}-${xcm.amount}`;
@@ -0,0 +1,211 @@
+import { readFileSync, writeFileSync, existsSync, renameSync } from 'fs';
+import { logger } from './logger.js';
+import { nowSeconds } from './clock.js';
+import { normalizeAddress, addressError } from './address.js';
+
+// Fields that make up a label; a change to any of them is recorded in the history
+const LABEL_FIELDS = ['label', 'entity', 'category', 'kind', 'source', 'confidence'];
+
+const today = () => new Date(nowSeconds() * 1000).toISOString();
+
+// Address labels with provenance, e.g. config/labels.json:
+//   { version, updatedAt, labels: { "<address>" | "<chain>:<address>": entry } }
+// Each entry holds label, entity (exchange id), category (cex, dex, ...), kind (wallet or
+// deposit), source, confidence (0-1), firstVerified, lastVerified and a history of
+// changes. Every save that changes something bumps version, which analyses record.
+// Removed labels stay in the file, marked removed, so their history is kept. A second
+// entity claiming a labeled address doesn't replace the label; the claim is kept under
+// conflicts until someone decides (upsert with override).
+export class LabelStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = this.load();
+    this.dirty = false;
+  }
+
+  load() {
+    if (!existsSync(this.filePath)) {
+      return { version: 0, updatedAt: null, labels: {} };
+    }
+
+    try {
+      return JSON.parse(readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to load labels from ${this.filePath}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Keyed by the network encoding of the address, so any encoding of the key finds it
+  key(address, chain = null) {
+    const normalized = normalizeAddress(address) || address;
+    return chain ? `${chain}:${normalized}` : normalized;
+  }
+
+  // Active label of an address, or null
+  get(address, chain = null) {
+    const entry = this.data.labels[this.key(address, chain)];
+    return entry && !entry.removed ? entry : null;
+  }
+
+  // Including removed labels, e.g. so a deliberate removal isn't undone by a re-import
+  has(address, chain = null) {
+    return Boolean(this.data.labels[this.key(address, chain)]);
+  }
+
+  entries({ includeRemoved = false } = {}) {
+    return Object.values(this.data.labels).filter(entry => includeRemoved || !entry.removed);
+  }
+
+  // Adds a label or updates it; returns 'added', 'updated', 'verified' (same label seen
+  // again by its source), 'restored' or 'conflict' (another entity already holds it).
+  // Unverified labels (verified: false, e.g. seeded from a list) get no verified dates.
+  upsert({ address: input, chain = null, label, entity, category, kind = 'wallet', source, confidence = 1 }, { override = false, verified = true } = {}) {
+    const address = normalizeAddress(input);
+    if (!address) {
+      throw new Error(`Invalid address ${input}: ${addressError(input)}`);
+    }
+
+    const key = this.key(address, chain);
+    const existing = this.data.labels[key];
+    const now = today();
+    const fields = { label, entity, category, kind, source, confidence };
+
+    if (!existing) {
+      this.data.labels[key] = {
+        address,
+        chain,
+        ...fields,
+        firstVerified: verified ? now : null,
+        lastVerified: verified ? now : null,
+        history: [this.historyEntry('added', { source, changes: fields })]
+      };
+      this.dirty = true;
+      return 'added';
+    }
+
+    if (!existing.removed && existing.entity !== entity && !override) {
+      return this.addConflict(existing, fields, now);
+    }
+
+    const changes = {};
+    for (const field of LABEL_FIELDS) {
+      if (fields[field] !== undefined && fields[field] !== existing[field]) {
+        changes[field] = [existing[field], fields[field]];
+        existing[field] = fields[field];
+      }
+    }
+
+    const action = existing.removed ? 'restored' : Object.keys(changes).length > 0 ? 'updated' : 'verified';
+    delete existing.removed;
+    // Overriding settles every open claim on the address
+    if (override) {
+      delete existing.conflicts;
+    }
+    if (verified) {
+      existing.firstVerified = existing.firstVerified || now;
+      existing.lastVerified = now;
+    }
+    existing.history.push(this.historyEntry(action, { source, changes }));
+    this.dirty = true;
+    return action;
+  }
+
+  // Claims are recorded once per entity and source
+  addConflict(existing, fields, now) {
+    existing.conflicts = existing.conflicts || [];
+    if (!existing.conflicts.some(claim => claim.entity === fields.entity && claim.source === fields.source)) {
+      existing.conflicts.push({ entity: fields.entity, label: fields.label, source: fields.source, confidence: fields.confidence, at: now });
+      existing.history.push(this.historyEntry('conflict', { source: fields.source, changes: { entity: [existing.entity, fields.entity] } }));
+      this.dirty = true;
+    }
+    return 'conflict';
+  }
+
+  conflicts() {
+    return this.entries().filter(entry => entry.conflicts?.length > 0);
+  }
+
+  // Merges entries stored under different encodings of the same key (written before
+  // keys were normalized, or edited by hand). The most confident, most recently verified
+  // entry wins; a different entity among the others becomes a conflict.
+  dedupe() {
+    const groups = new Map();
+    for (const [storedKey, entry] of Object.entries(this.data.labels)) {
+      const key = this.key(entry.address, entry.chain);
+      groups.set(key, [...(groups.get(key) || []), { storedKey, entry }]);
+    }
+
+    const merged = [];
+    for (const [key, group] of groups) {
+      if (group.length === 1 && group[0].storedKey === key) continue;
+
+      const ranked = group.map(item => item.entry).sort((a, b) =>
+        Boolean(a.removed) - Boolean(b.removed) ||
+        b.confidence - a.confidence ||
+        String(b.lastVerified).localeCompare(String(a.lastVerified)));
+      const [winner, ...others] = ranked;
+      const now = today();
+
+      group.forEach(item => delete this.data.labels[item.storedKey]);
+      winner.address = normalizeAddress(winner.address) || winner.address;
+      winner.history = ranked.flatMap(entry => entry.history || []).sort((a, b) => String(a.at).localeCompare(String(b.at)));
+      winner.history.push(this.historyEntry('merged', { source: 'dedupe', reason: `${group.length} entries for one address` }));
+      for (const other of others.filter(entry => !entry.removed && entry.entity !== winner.entity)) {
+        this.addConflict(winner, other, now);
+      }
+
+      this.data.labels[key] = winner;
+      this.dirty = true;
+      merged.push({ address: winner.address, entries: group.length, entity: winner.entity });
+    }
+
+    return merged;
+  }
+
+  remove(address, chain = null, { source = 'manual', reason = null } = {}) {
+    const entry = this.get(address, chain);
+    if (!entry) {
+      return false;
+    }
+
+    entry.removed = true;
+    entry.history.push(this.historyEntry('removed', { source, reason }));
+    this.dirty = true;
+    return true;
+  }
+
+  // Changes made before the next save belong to the version that save creates
+  historyEntry(action, { source, changes = null, reason = null }) {
+    const entry = { version: this.data.version + 1, at: today(), action, source };
+    if (changes && Object.keys(changes).length > 0) entry.changes = changes;
+    if (reason) entry.reason = reason;
+    return entry;
+  }
+
+  // Write to a temp file and rename, like the cursor store; unchanged stores aren't rewritten
+  save() {
+    if (!this.dirty) {
+      return false;
+    }
+
+    this.data.version++;
+    this.data.updatedAt = today();
+    const tmpPath = `${this.filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    renameSync(tmpPath, this.filePath);
+    this.dirty = false;
+
+    logger.info(`Saved label set version ${this.data.version} (${this.entries().length} labels)`);
+    return true;
+  }
+
+  // Recorded with every analysis
+  getVersion() {
+    return {
+      version: this.data.version,
+      updatedAt: this.data.updatedAt,
+      labels: this.entries().length
+    };
+  }
+}
@@ -38,7 +38,7 @@ class Logger {
     
     if (args.length > 0) {
       return `${formattedMessage} ${args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg
+        arg instanceof Error ? arg.message : typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg
       ).join(' ')}`;
     }
     
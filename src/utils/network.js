@@ -0,0 +1,48 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Network profiles from config/networks.json, selected per run with NETWORK
+// (polkadot by default). Read lazily so .env has been loaded first.
+let profiles = null;
+let current = null;
+
+function loadProfiles() {
+  if (!profiles) {
+    const configPath = join(__dirname, '../../config/networks.json');
+    profiles = JSON.parse(readFileSync(configPath, 'utf8'));
+  }
+  return profiles;
+}
+
+export function listNetworks() {
+  return Object.keys(loadProfiles());
+}
+
+export function getNetwork() {
+  const key = process.env.NETWORK || 'polkadot';
+
+  if (!current || current.key !== key) {
+    const profile = loadProfiles()[key];
+    if (!profile) {
+      throw new Error(`Unknown network "${key}", expected one of: ${listNetworks().join(', ')}`);
+    }
+
+    current = {
+      key,
+      ...profile,
+      rpcEndpoint: process.env.RPC_ENDPOINT || profile.rpcEndpoint,
+      subscanAPI: process.env.SUBSCAN_API_URL || profile.subscanAPI
+    };
+  }
+
+  return current;
+}
+
+// Stored with every analysis so results from different networks are never mixed up
+export function getNetworkTag() {
+  const { key, name, symbol, decimals } = getNetwork();
+  return { key, name, symbol, decimals };
+}
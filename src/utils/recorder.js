@@ -0,0 +1,88 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Record/replay of Subscan traffic (and of staking.payee queries, see PayeeCollector).
+ *
+ * SUBSCAN_MODE=record  - requests go to Subscan and every response is saved as a fixture
+ * SUBSCAN_MODE=replay  - responses are served from fixtures only, no network
+ * SUBSCAN_FIXTURES_DIR - fixture directory (default: fixtures/subscan)
+ *
+ * A manifest.json next to the fixtures holds the clock of the recording, so time
+ * windows computed during replay produce the same request bodies.
+ */
+
+export function getRecordingMode() {
+  const mode = (process.env.SUBSCAN_MODE || 'live').toLowerCase();
+  if (!['live', 'record', 'replay'].includes(mode)) {
+    throw new Error(`Unknown SUBSCAN_MODE "${mode}" (expected live, record or replay)`);
+  }
+  return mode;
+}
+
+export function getFixtureDir() {
+  return process.env.SUBSCAN_FIXTURES_DIR
+    ? resolve(process.env.SUBSCAN_FIXTURES_DIR)
+    : join(__dirname, '../../fixtures/subscan');
+}
+
+// JSON with sorted keys, so equal request bodies always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function fixtureKey(baseURL, endpoint, data) {
+  const host = new URL(baseURL).host;
+  const hash = createHash('sha1').update(`${host}${endpoint}${stableStringify(data)}`).digest('hex');
+  return `${endpoint.replace(/^\//, '').replace(/\//g, '_')}-${hash.slice(0, 16)}`;
+}
+
+export function readFixture(baseURL, endpoint, data) {
+  const filePath = join(getFixtureDir(), `${fixtureKey(baseURL, endpoint, data)}.json`);
+
+  if (!existsSync(filePath)) {
+    throw new Error(`No recorded response for ${endpoint} ${JSON.stringify(data)} in ${getFixtureDir()}`);
+  }
+
+  return JSON.parse(readFileSync(filePath, 'utf8')).response;
+}
+
+export function writeFixture(baseURL, endpoint, data, response) {
+  const dir = getFixtureDir();
+  mkdirSync(dir, { recursive: true });
+
+  const fixture = { baseURL, endpoint, data, response };
+  writeFileSync(join(dir, `${fixtureKey(baseURL, endpoint, data)}.json`), JSON.stringify(fixture, null, 2));
+}
+
+export function loadManifest() {
+  const manifestPath = join(getFixtureDir(), 'manifest.json');
+
+  if (!existsSync(manifestPath)) {
+    throw new Error(`No manifest.json in ${getFixtureDir()}, record fixtures first`);
+  }
+
+  return JSON.parse(readFileSync(manifestPath, 'utf8'));
+}
+
+export function createManifest(recordedAt) {
+  const dir = getFixtureDir();
+  mkdirSync(dir, { recursive: true });
+
+  const manifest = { recordedAt, createdAt: new Date(recordedAt * 1000).toISOString() };
+  writeFileSync(join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  logger.info(`Recording Subscan traffic to ${dir}`);
+
+  return manifest;
+}
@@ -1,13 +1,20 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from './logger.js';
+import { nowSeconds } from './clock.js';
+import { getNetwork } from './network.js';
+import { normalizeAddress, validateAddresses } from './address.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 export class FileStorage {
   constructor() {
-    this.dataDir = join(__dirname, '../../data');
+    // DATA_DIR keeps replayed or test runs away from the real data directory.
+    // Networks other than Polkadot get their own subdirectory so results never mix.
+    const { key } = getNetwork();
+    this.dataDir = process.env.DATA_DIR
+      || (key === 'polkadot' ? join(__dirname, '../../data') : join(__dirname, '../../data', key));
     this.ensureDirectories();
   }
 
@@ -18,6 +25,7 @@ export class FileStorage {
       join(this.dataDir, 'flows'),
       join(this.dataDir, 'reports'),
       join(this.dataDir, 'analysis'),
+      join(this.dataDir, 'analysis', 'eras'),
       join(this.dataDir, 'receivers')
     ];
     
@@ -35,11 +43,13 @@ export class FileStorage {
   }
 
   // Top receivers management
-  async saveTopReceivers(receivers) {
+  // meta records how the set was built, e.g. { source: 'reward-ranking', fromEra, toEra }
+  async saveTopReceivers(receivers, meta = {}) {
     try {
       const filePath = join(this.dataDir, 'receivers', 'top-receivers.json');
       const data = {
         timestamp: this.getTimestamp(),
+        ...meta,
         count: receivers.length,
         receivers: receivers
       };
@@ -70,7 +80,16 @@ export class FileStorage {
       const data = JSON.parse(readFileSync(filePath, 'utf8'));
       logger.info(`Loaded ${data.receivers.length} top receivers from ${data.timestamp}`);
       
-      return data.receivers;
+      // Files written by the import scripts or older versions may hold other encodings
+      validateAddresses(data.receivers.map(receiver => receiver.address), { label: 'receiver addresses' });
+      const receivers = new Map();
+      for (const receiver of data.receivers) {
+        const address = normalizeAddress(receiver.address);
+        if (address && !receivers.has(address)) {
+          receivers.set(address, { ...receiver, address });
+        }
+      }
+      return Array.from(receivers.values());
     } catch (error) {
       logger.error('Failed to load top receivers:', error);
       return [];
@@ -80,7 +99,8 @@ export class FileStorage {
   // Analysis storage
   async saveAnalysis(analysis) {
     try {
-      const date = this.getDateString();
+      // Filed under the UTC day the window ends, which history lookups go by
+      const date = new Date(analysis.period.end * 1000).toISOString().split('T')[0];
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       
       // Save latest analysis
@@ -92,7 +112,7 @@ export class FileStorage {
       mkdirSync(dirname(filePath), { recursive: true });
       writeFileSync(filePath, JSON.stringify(analysis, null, 2));
       
-      logger.info(`Saved analysis for ${analysis.summary.totalRewards.toLocaleString()} DOT rewards`);
+      logger.info(`Saved analysis to ${filePath}`);
       
       return true;
     } catch (error) {
@@ -118,6 +138,76 @@ export class FileStorage {
     }
   }
 
+  // Era analyses, keyed by era number
+  async saveEraAnalysis(analysis) {
+    try {
+      const era = analysis.period.era;
+      const filePath = join(this.dataDir, 'analysis', 'eras', `era-${era}.json`);
+      
+      writeFileSync(filePath, JSON.stringify(analysis, null, 2));
+      logger.info(`Saved analysis for era ${era}`);
+      
+      return true;
+    } catch (error) {
+      logger.error('Failed to save era analysis:', error);
+      return false;
+    }
+  }
+
+  async loadEraAnalysis(era) {
+    try {
+      const filePath = join(this.dataDir, 'analysis', 'eras', `era-${era}.json`);
+      
+      if (!existsSync(filePath)) {
+        return null;
+      }
+      
+      return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to load analysis for era ${era}:`, error);
+      return null;
+    }
+  }
+
+  async listAnalyzedEras() {
+    const erasDir = join(this.dataDir, 'analysis', 'eras');
+    
+    return readdirSync(erasDir)
+      .map(file => file.match(/^era-(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  // Per-exchange net flow series (data/flows/net-flows.json): hourly and daily buckets are
+  // rebuilt from the exchange wallet log each cycle, eras are added as they are analyzed
+  async loadNetFlows() {
+    try {
+      const filePath = join(this.dataDir, 'flows', 'net-flows.json');
+      
+      if (!existsSync(filePath)) {
+        return { updatedAt: null, hourly: [], daily: [], eras: {} };
+      }
+      
+      return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.error('Failed to load net flows:', error);
+      return { updatedAt: null, hourly: [], daily: [], eras: {} };
+    }
+  }
+
+  async saveNetFlows(series) {
+    try {
+      const filePath = join(this.dataDir, 'flows', 'net-flows.json');
+      writeFileSync(filePath, JSON.stringify({ updatedAt: this.getTimestamp(), ...series }, null, 2));
+      logger.info(`Saved net flow series (${series.hourly.length} hours, ${series.daily.length} days, ${Object.keys(series.eras).length} eras)`);
+      return true;
+    } catch (error) {
+      logger.error('Failed to save net flows:', error);
+      return false;
+    }
+  }
+
   // Report storage
   async saveReport(report, type = 'daily') {
     try {
@@ -141,33 +231,48 @@ export class FileStorage {
   }
 
   // Historical data management
-  async loadHistoricalAnalyses(days = 7) {
+  // Analyses that ended in the `days` before `before` (unix seconds), oldest first; era
+  // analyses with eras. Only what trend comparisons need is kept (network, period, params
+  // and summary): a month of hourly analyses with their details wouldn't fit in memory.
+  async loadHistoricalAnalyses(days = 7, { before = nowSeconds(), eras = false } = {}) {
+    const since = before - days * 86400;
+    const keep = ({ timestamp, network, period, params, summary }) => ({ timestamp, network, period, params, summary });
     const analyses = [];
-    const date = new Date();
     
-    for (let i = 0; i < days; i++) {
-      const dateStr = date.toISOString().split('T')[0];
+    if (eras) {
+      for (const era of (await this.listAnalyzedEras()).reverse()) {
+        const analysis = await this.loadEraAnalysis(era);
+        if (!analysis) continue;
+        if (analysis.period.end < since) break;
+        if (analysis.period.end < before) analyses.push(keep(analysis));
+      }
+      return analyses.reverse();
+    }
+    
+    // Analyses are filed under the UTC day their window ends
+    for (let day = since; day < before + 86400; day += 86400) {
+      const dateStr = new Date(day * 1000).toISOString().split('T')[0];
       const dayDir = join(this.dataDir, 'analysis', dateStr);
       
       if (existsSync(dayDir)) {
         try {
-          const files = require('fs').readdirSync(dayDir)
+          const files = readdirSync(dayDir)
             .filter(f => f.endsWith('.json'))
             .sort();
           
           for (const file of files) {
             const analysis = JSON.parse(readFileSync(join(dayDir, file), 'utf8'));
-            analyses.push(analysis);
+            if (analysis.period?.end >= since && analysis.period.end < before) {
+              analyses.push(keep(analysis));
+            }
           }
         } catch (error) {
-          logger.error(`Error loading analyses for ${dateStr}:`, error);
+          logger.error(`Error loading analyses for ${dateStr}:`, error.message);
         }
       }
-      
-      date.setDate(date.getDate() - 1);
     }
     
-    return analyses;
+    return analyses.sort((a, b) => a.period.end - b.period.end);
   }
 
   // Quick data access
@@ -0,0 +1,173 @@
+import axios from 'axios';
+import Bottleneck from 'bottleneck';
+import { logger } from './logger.js';
+import { getRecordingMode, readFixture, writeFixture } from './recorder.js';
+import { nowSeconds } from './clock.js';
+import { getNetwork } from './network.js';
+
+// Subscan limits per API key, so every client shares one rate budget.
+// Created lazily so .env has been loaded before the limits are read.
+let sharedLimiter = null;
+
+function getLimiter() {
+  if (!sharedLimiter) {
+    sharedLimiter = new Bottleneck({
+      minTime: parseInt(process.env.SUBSCAN_MIN_TIME_MS || '200'),
+      maxConcurrent: parseInt(process.env.SUBSCAN_MAX_CONCURRENT || '5')
+    });
+  }
+  return sharedLimiter;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A 429 applies to the API key, not to one request: until pausedUntil (ms) every
+// scheduled request waits, holding its limiter slot so nothing else is released
+let pausedUntil = 0;
+
+function pauseRequests(ms) {
+  pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+}
+
+async function waitForPause() {
+  while (Date.now() < pausedUntil) {
+    await sleep(pausedUntil - Date.now());
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status === undefined) {
+    // Network errors and timeouts
+    return Boolean(error.code || error.request);
+  }
+  return status === 429 || status >= 500;
+}
+
+export class SubscanClient {
+  constructor({ baseURL = getNetwork().subscanAPI, apiKey = process.env.SUBSCAN_API_KEY } = {}) {
+    this.baseURL = baseURL;
+    this.apiKey = apiKey;
+    this.maxRetries = parseInt(process.env.SUBSCAN_MAX_RETRIES || '5');
+    this.baseDelay = parseInt(process.env.SUBSCAN_RETRY_BASE_MS || '1000');
+    this.maxDelay = parseInt(process.env.SUBSCAN_RETRY_MAX_MS || '60000');
+    this.stats = new Map();
+  }
+
+  getEndpointStats(endpoint) {
+    if (!this.stats.has(endpoint)) {
+      this.stats.set(endpoint, { calls: 0, retries: 0, rateLimited: 0, failures: 0 });
+    }
+    return this.stats.get(endpoint);
+  }
+
+  async post(endpoint, data) {
+    const response = await axios.post(
+      `${this.baseURL}${endpoint}`,
+      data,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': this.apiKey
+        },
+        timeout: 30000
+      }
+    );
+
+    if (response.data.code !== 0) {
+      throw new Error(`Subscan API error: ${response.data.message}`);
+    }
+
+    return response.data.data;
+  }
+
+  async request(endpoint, data = {}) {
+    const stats = this.getEndpointStats(endpoint);
+    const mode = getRecordingMode();
+
+    if (mode === 'replay') {
+      stats.calls++;
+      return readFixture(this.baseURL, endpoint, data);
+    }
+
+    if (mode === 'record') {
+      // Starts the recording manifest before the first response is written
+      nowSeconds();
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      stats.calls++;
+
+      try {
+        const result = await getLimiter().schedule(async () => {
+          await waitForPause();
+          return this.post(endpoint, data);
+        });
+        if (mode === 'record') {
+          writeFixture(this.baseURL, endpoint, data, result);
+        }
+        return result;
+      } catch (error) {
+        const status = error.response?.status;
+        if (status === 429) {
+          stats.rateLimited++;
+        }
+
+        if (!isRetryable(error) || attempt >= this.maxRetries) {
+          stats.failures++;
+          logger.error(`API request failed: ${endpoint}`, error.message);
+          throw error;
+        }
+
+        // Exponential backoff with jitter, unless the server tells us how long to wait
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        const backoff = Math.min(this.baseDelay * 2 ** attempt, this.maxDelay);
+        const delay = retryAfter ?? backoff + Math.floor(Math.random() * this.baseDelay);
+
+        stats.retries++;
+        if (status === 429) {
+          pauseRequests(delay);
+        }
+        logger.warn(`${endpoint} failed (${status || error.code || error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+const clients = new Map();
+
+// Defaults to the relay chain of the selected network
+export function getSubscanClient(baseURL = getNetwork().subscanAPI) {
+  if (!clients.has(baseURL)) {
+    clients.set(baseURL, new SubscanClient({ baseURL }));
+  }
+  return clients.get(baseURL);
+}
+
+// Per-endpoint counters across all clients, keyed by host + endpoint
+export function getSubscanStats() {
+  const stats = {};
+  for (const client of clients.values()) {
+    const host = new URL(client.baseURL).host;
+    for (const [endpoint, counters] of client.stats) {
+      stats[`${host}${endpoint}`] = { ...counters };
+    }
+  }
+  return stats;
+}
@@ -0,0 +1,102 @@
+import { getNetwork } from './network.js';
+
+/**
+ * Amounts travel through the pipeline as integer planck. Records and stored analyses
+ * hold them as decimal strings ("125000000000") so they survive JSON; sums are done
+ * on BigInt. Only the Reporter turns planck into token amounts for display.
+ */
+
+// bigint or integer string of planck → BigInt. Numbers and non-integer strings are
+// token amounts, as in data stored before amounts were kept in planck.
+export function toPlanck(value) {
+  if (typeof value === 'bigint') return value;
+  if (value === null || value === undefined || value === '') return 0n;
+
+  const { decimals } = getNetwork();
+  if (typeof value === 'number') {
+    return parseUnits(value.toFixed(decimals), decimals);
+  }
+  return /^-?\d+$/.test(value) ? BigInt(value) : parseUnits(value, decimals);
+}
+
+// Integer planck as returned by an API or node (string or number) → decimal string
+export function planckFromRaw(value) {
+  if (typeof value === 'number') {
+    return BigInt(Math.trunc(value)).toString();
+  }
+  return BigInt(String(value ?? '0').split('.')[0] || '0').toString();
+}
+
+// Approximate token amount as a Number, for receiver metadata such as balances.
+// Never use it for amounts that get summed.
+export function toTokens(value) {
+  return Number(toPlanck(value)) / 10 ** getNetwork().decimals;
+}
+
+// Decimal token amount ("12.5", as Subscan's transfer amount field) → planck
+export function parseUnits(text, decimals) {
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(String(text).trim());
+  if (!match) {
+    throw new Error(`Invalid token amount: ${text}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const padded = (fraction + '0'.repeat(decimals)).slice(0, decimals);
+  const planck = BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(padded || '0');
+  return sign ? -planck : planck;
+}
+
+// Planck → "1,234.5678" with at most maxFractionDigits (truncated, trailing zeros dropped)
+export function formatUnits(value, decimals, maxFractionDigits = 4) {
+  const planck = toPlanck(value);
+  const negative = planck < 0n;
+  const abs = negative ? -planck : planck;
+  const base = 10n ** BigInt(decimals);
+
+  const whole = (abs / base).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  const fraction = (abs % base).toString().padStart(decimals, '0')
+    .slice(0, maxFractionDigits)
+    .replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+}
+
+export function sumPlanck(values) {
+  return values.reduce((sum, value) => sum + toPlanck(value), 0n);
+}
+
+// amount * numerator / denominator, rounded down
+export function mulDiv(amount, numerator, denominator) {
+  return (toPlanck(amount) * toPlanck(numerator)) / toPlanck(denominator);
+}
+
+// part / total as a percentage with two decimals
+export function percentOf(part, total) {
+  const denominator = toPlanck(total);
+  if (denominator === 0n) return 0;
+  return Number((toPlanck(part) * 10000n) / denominator) / 100;
+}
+
+// Sort comparator, largest first
+export function byAmountDesc(a, b) {
+  const diff = toPlanck(b.amount) - toPlanck(a.amount);
+  return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+}
+
+// Replaces BigInt values with decimal strings, in place, so the result can be stored
+export function serializeAmounts(value) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      value[index] = typeof item === 'bigint' ? item.toString() : serializeAmounts(item);
+    });
+  } else if (value instanceof Map) {
+    for (const [key, item] of value) {
+      value.set(key, typeof item === 'bigint' ? item.toString() : serializeAmounts(item));
+    }
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      value[key] = typeof item === 'bigint' ? item.toString() : serializeAmounts(item);
+    }
+  }
+  return value;
+}
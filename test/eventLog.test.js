@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EventLog, rewardEventId } from '../src/utils/eventLog.js';
+import { RewardCollector } from '../src/collectors/rewardCollector.js';
+
+const ADDRESS = '15cfSaBcTxNr8rV59cbhdMNCRagFr3GE6B3zZRsCp4QHHKPu';
+const now = Math.floor(Date.now() / 1000);
+
+function withDataDir(fn) {
+  const dataDir = mkdtempSync(join(tmpdir(), 'inflation-eventlog-'));
+  try {
+    return fn(dataDir);
+  } finally {
+    rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// reward_slash rows as Subscan returns them: event_id is the event name
+const rewardRow = (blockNum, eventIdx, amount, timestamp) => ({
+  account: ADDRESS,
+  amount,
+  block_num: String(blockNum),
+  block_timestamp: String(timestamp),
+  event_id: 'Reward',
+  event_idx: eventIdx,
+  event_index: `${blockNum}-${eventIdx}`,
+  module_id: 'staking'
+});
+
+test('rewards that share an event name are logged separately', async () => {
+  const collector = new RewardCollector();
+  collector.makeRequest = async () => ({
+    list: [rewardRow(200, 12, '30000000000', now - 60), rewardRow(150, 7, '20000000000', now - 120)]
+  });
+
+  const { rewards } = await collector.fetchRewardsForAddress(ADDRESS, now - 3600, now);
+
+  withDataDir(dataDir => {
+    const log = new EventLog(dataDir, 'rewards', rewardEventId);
+    assert.equal(log.append(rewards), 2);
+    assert.deepEqual(log.readAll().map(reward => reward.eventId).sort(), ['150-7', '200-12']);
+  });
+});
+
+test('events appended again are skipped, also after reopening the log', () => {
+  withDataDir(dataDir => {
+    const reward = { address: ADDRESS, amount: '1', blockNumber: 200, timestamp: now - 60, eventId: '200-12' };
+    const log = new EventLog(dataDir, 'rewards', rewardEventId);
+    assert.equal(log.append([reward]), 1);
+    assert.equal(log.append([reward]), 0);
+
+    const reopened = new EventLog(dataDir, 'rewards', rewardEventId);
+    assert.equal(reopened.append([reward, { ...reward, blockNumber: 201, eventId: '201-3' }]), 1);
+    assert.equal(reopened.readWindow(now - 3600, now).length, 2);
+  });
+});
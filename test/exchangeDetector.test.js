@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cpSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ExchangeDetector } from '../src/analyzers/exchangeDetector.js';
+
+const fixtures = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Unlabeled addresses, named by their cached on-chain identity
+const BINANCE_SUB = '1PNtGSJ2VC7gGhEPqTbtj9mBEUcwM3SDL71WSqtRzSVxDkG';
+const UNVERIFIED = '1mkmXsb3yPEMYPTnfvCnTJXMTxEsh5sRfD21tgmryszueHv';
+const VALIDATOR = '12A8eoJt5TaM2p5hBWNogBTHXhRrp38JdzK2XLXfHyKVrjp4';
+const STAKING = '12YWY4kB6wmTi5mvaLqQZuc3hvuUkPAjrKR32nNYixkzox9D';
+
+const IDENTITIES = {
+  [BINANCE_SUB]: { display: 'Binance/hot-2', entity: 'Binance', verified: true },
+  [UNVERIFIED]: { display: 'Binance', entity: 'Binance', verified: false },
+  [VALIDATOR]: { display: 'Binance', entity: 'Binance', verified: true },
+  [STAKING]: { display: 'Binance Staking', entity: 'Binance Staking', verified: true }
+};
+
+async function loadDetector() {
+  const dir = mkdtempSync(join(tmpdir(), 'inflation-labels-'));
+  cpSync(join(fixtures, 'labels.json'), join(dir, 'labels.json'));
+  process.env.LABELS_FILE = join(dir, 'labels.json');
+
+  const detector = new ExchangeDetector({
+    identityCollector: {
+      lookup: address => IDENTITIES[address] || null,
+      resolveIdentities: async () => {}
+    }
+  });
+  try {
+    await detector.loadExchangeAddresses();
+  } finally {
+    delete process.env.LABELS_FILE;
+    rmSync(dir, { recursive: true, force: true });
+  }
+  detector.setTrackedReceivers([{ address: VALIDATOR }]);
+  return detector;
+}
+
+test('an unlisted address with a verified exchange identity is classified as the exchange', async () => {
+  const detector = await loadDetector();
+
+  const info = detector.getExchangeInfo(BINANCE_SUB);
+  assert.equal(info.id, 'binance');
+  assert.equal(info.matchedBy, 'identity');
+  assert.equal(info.identity, 'Binance/hot-2');
+
+  const [deposit] = await detector.detectExchangeTransfers([
+    { from: VALIDATOR, to: BINANCE_SUB, amount: '10000000000', timestamp: 1760000000 }
+  ]);
+  assert.equal(deposit.type, 'deposit');
+  assert.equal(deposit.exchange.id, 'binance');
+});
+
+test('unverified, tracked and merely similar identities are not exchanges', async () => {
+  const detector = await loadDetector();
+
+  assert.equal(detector.getExchangeInfo(UNVERIFIED), null);
+  assert.equal(detector.getExchangeInfo(VALIDATOR), null);
+  assert.equal(detector.getExchangeInfo(STAKING), null);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FlowTracer } from '../src/analyzers/flowTracer.js';
+
+const DOT = 10_000_000_000n;
+const EXCHANGE = 'exchange-hot-wallet';
+
+const transfer = (from, to, dots, timestamp) => ({
+  from,
+  to,
+  amount: (BigInt(dots) * DOT).toString(),
+  timestamp,
+  chain: 'polkadot'
+});
+
+// Outgoing transfers per address, served the way TransferCollector.fetchTransferPages does
+function tracerFor(outflows) {
+  return new FlowTracer({
+    exchangeDetector: {
+      getExchangeInfo: address => (address === EXCHANGE ? { id: 'binance', name: 'Binance' } : null)
+    },
+    getCollector: () => ({
+      fetchTransferPages: async (address) => ({ transfers: outflows[address] || [], complete: true })
+    })
+  });
+}
+
+test('a deposit made by a tracked receiver is not traced again from its sender', async () => {
+  // A and B are both tracked: B's deposit is among the collected transfers as a direct flow
+  const aToB = transfer('A', 'B', 10, 1000);
+  const bToExchange = transfer('B', EXCHANGE, 10, 2000);
+  const tracer = tracerFor({ B: [bToExchange] });
+
+  const indirect = await tracer.traceIndirectFlows(
+    [aToB, bToExchange],
+    10000,
+    [{ address: 'A' }, { address: 'B' }]
+  );
+
+  assert.deepEqual(indirect, []);
+});
+
+test('a deposit through an untracked intermediate is attributed to the receiver', async () => {
+  const aToC = transfer('A', 'C', 10, 1000);
+  const tracer = tracerFor({ C: [transfer('C', EXCHANGE, 10, 2000)] });
+
+  const indirect = await tracer.traceIndirectFlows([aToC], 10000, [{ address: 'A' }]);
+
+  assert.equal(indirect.length, 1);
+  assert.equal(indirect[0].origin, 'A');
+  assert.equal(indirect[0].amount, (10n * DOT).toString());
+  assert.deepEqual(indirect[0].path, ['A', 'C', EXCHANGE]);
+  assert.equal(indirect[0].indirect, true);
+});
+
+test('tracing stops at a tracked receiver further down the chain', async () => {
+  // A → C → B → exchange: B is tracked, so its deposit is its own
+  const aToC = transfer('A', 'C', 10, 1000);
+  const tracer = tracerFor({
+    C: [transfer('C', 'B', 10, 2000)],
+    B: [transfer('B', EXCHANGE, 10, 3000)]
+  });
+  tracer.maxHops = 3;
+
+  const indirect = await tracer.traceIndirectFlows([aToC], 10000, [{ address: 'A' }, { address: 'B' }]);
+
+  assert.deepEqual(indirect, []);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareWithHistory } from '../src/analyzers/historicalTrends.js';
+
+const END = 1760000000;
+const DAY = 86400;
+
+const analysis = (end, [sellPressurePercent, exchangeFlow, quickSellers], params = { limit: null, receivers: null }) => ({
+  network: { key: 'polkadot' },
+  period: { type: 'rolling', start: end - DAY, end },
+  params,
+  summary: { sellPressurePercent, exchangeFlow, quickSellers }
+});
+
+test('compares with the previous day and the daily 7 and 30 day averages', () => {
+  const current = analysis(END, [50, '2000', 2]);
+  const history = [
+    analysis(END - DAY - 3600, [10, '9000', 9]), // Same UTC day as the next, earlier
+    analysis(END - DAY, [40, '1000', 2]),
+    analysis(END - 2 * DAY, [20, '3000', 4]),
+    analysis(END - 10 * DAY, [60, '0', 0]),
+    analysis(END - DAY, [99, '5000', 7], { limit: 10, receivers: null }), // Other receiver selection
+    analysis(END + 3600, [99, '5000', 7]) // Later than the analysis
+  ];
+
+  const { previousDay, avg7d, avg30d, metrics } = compareWithHistory(current, history);
+
+  assert.deepEqual(previousDay, { end: END - DAY, samples: 1 });
+  assert.deepEqual(avg7d, { end: END - DAY, samples: 2 });
+  assert.deepEqual(avg30d, { end: END - DAY, samples: 3 });
+
+  assert.deepEqual(metrics.sellPressurePercent.previousDay, { value: 40, delta: 10, percentChange: 25, direction: 'increasing' });
+  assert.deepEqual(metrics.exchangeFlow.avg7d, { value: '2000', delta: '0', percentChange: 0, direction: 'stable' });
+  assert.deepEqual(metrics.quickSellers.avg7d, { value: 3, delta: -1, percentChange: -33.33, direction: 'decreasing' });
+  assert.equal(metrics.sellPressurePercent.avg30d.value, 40);
+  assert.equal(metrics.exchangeFlow.current, '2000');
+});
+
+test('a zero baseline has no percent change but still a direction', () => {
+  const { previousDay, avg7d, metrics } = compareWithHistory(
+    analysis(END, [50, '2000', 0]),
+    [analysis(END - 10 * DAY, [60, '0', 0])]
+  );
+
+  assert.equal(previousDay, null);
+  assert.equal(avg7d, null);
+  assert.equal(metrics.exchangeFlow.avg7d, null);
+  assert.deepEqual(metrics.exchangeFlow.avg30d, { value: '0', delta: '2000', percentChange: null, direction: 'increasing' });
+  assert.deepEqual(metrics.quickSellers.avg30d, { value: 0, delta: 0, percentChange: null, direction: 'stable' });
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { IncrementalCollector } from '../src/collectors/incrementalCollector.js';
+
+const A = '15cfSaBcTxNr8rV59cbhdMNCRagFr3GE6B3zZRsCp4QHHKPu';
+const B = '14ShUZUYUR35RBZW6uVVt1zXDxmSQddkeDdXf1JkMA6P721N';
+const END = Math.floor(Date.now() / 1000);
+const START = END - 86400;
+
+const reward = (address, blockNumber, timestamp) => ({
+  address,
+  amount: '10000000000',
+  blockNumber,
+  timestamp,
+  eventId: `${blockNumber}-3`,
+  type: 'staking_reward'
+});
+
+const noTransfers = { fetchTransferPages: async () => ({ transfers: [], complete: true }) };
+
+function withDataDir(fn) {
+  const dataDir = mkdtempSync(join(tmpdir(), 'inflation-incremental-'));
+  return fn(dataDir).finally(() => rmSync(dataDir, { recursive: true, force: true }));
+}
+
+// Subscan-style source: serves each address's rewards and records what it was asked for
+function subscanSource(responses) {
+  const calls = [];
+  return {
+    calls,
+    fetchRewardsForAddress: async (address, startTime, endTime, { afterBlock }) => {
+      calls.push({ address, startTime, afterBlock });
+      const { rewards, complete } = responses.shift();
+      return { rewards, completeness: { complete, events: rewards.length } };
+    }
+  };
+}
+
+test('later cycles fetch from the cursor and log only new rewards', async () => {
+  await withDataDir(async dataDir => {
+    const first = reward(A, 100, END - 7200);
+    const second = reward(A, 110, END - 600);
+    const source = subscanSource([
+      { rewards: [first], complete: true },
+      { rewards: [first, second], complete: true } // Overlap with the previous cycle
+    ]);
+
+    const cycle1 = await new IncrementalCollector({ rewardSource: source, transferCollector: noTransfers, dataDir })
+      .collect([{ address: A }], START, END - 3600);
+    assert.deepEqual(cycle1.rewards.map(r => r.eventId), ['100-3']);
+
+    // A new collector reads the cursor written by the last one
+    const collector = new IncrementalCollector({ rewardSource: source, transferCollector: noTransfers, dataDir });
+    const cycle2 = await collector.collect([{ address: A }], START, END);
+
+    assert.deepEqual(source.calls[1], { address: A, startTime: END - 3600 - collector.overlap, afterBlock: 100 });
+    assert.deepEqual(cycle2.rewards.map(r => r.eventId).sort(), ['100-3', '110-3']);
+    assert.equal(collector.cursors.get('rewards', A).blockNumber, 110);
+  });
+});
+
+test('an incomplete fetch logs what it got but leaves the cursor', async () => {
+  await withDataDir(async dataDir => {
+    const source = subscanSource([
+      { rewards: [reward(A, 100, END - 7200)], complete: true },
+      { rewards: [reward(A, 120, END - 60)], complete: false }
+    ]);
+    const collector = new IncrementalCollector({ rewardSource: source, transferCollector: noTransfers, dataDir });
+
+    await collector.collect([{ address: A }], START, END - 3600);
+    const { rewards, completeness } = await collector.collect([{ address: A }], START, END);
+
+    assert.equal(rewards.length, 2);
+    assert.equal(completeness[A].complete, false);
+    assert.deepEqual(
+      { blockNumber: collector.cursors.get('rewards', A).blockNumber, timestamp: collector.cursors.get('rewards', A).timestamp },
+      { blockNumber: 100, timestamp: END - 3600 }
+    );
+  });
+});
+
+// Block-scanning source over blocks 1..head, one block per minute ending at END
+function chainSource() {
+  const source = {
+    head: 10,
+    calls: [],
+    lastCompleteness: {},
+    getBlockSource: async () => ({
+      getHeadNumber: async () => source.head,
+      getBlockMeta: async number => ({ number, timestamp: END - (source.head - number) * 60 })
+    }),
+    findBlockAtTimestamp: async () => 1,
+    fetchRewardsInBlockRange: async (addresses, fromBlock, toBlock) => {
+      const covered = addresses.map(receiver => receiver.address);
+      source.calls.push({ addresses: covered, fromBlock, toBlock });
+      source.lastCompleteness = Object.fromEntries(covered.map(address => [address, { complete: true }]));
+      return covered.map(address => reward(address, toBlock, END - 60));
+    }
+  };
+  return source;
+}
+
+test('receivers added since the last block scan are backfilled up to the cursor', async () => {
+  await withDataDir(async dataDir => {
+    const source = chainSource();
+    const collector = new IncrementalCollector({ rewardSource: source, transferCollector: noTransfers, dataDir });
+
+    await collector.collect([{ address: A }], START, END);
+    source.head = 12;
+    await collector.collect([{ address: A }, { address: B }], START, END);
+
+    assert.deepEqual(source.calls, [
+      { addresses: [A], fromBlock: 1, toBlock: 10 },
+      { addresses: [B], fromBlock: 1, toBlock: 10 },
+      { addresses: [A, B], fromBlock: 11, toBlock: 12 }
+    ]);
+    const cursor = collector.cursors.get('chain-rewards', '*');
+    assert.equal(cursor.blockNumber, 12);
+    assert.deepEqual(cursor.addresses, [A, B]);
+  });
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { encodeAddress, decodeAddress } from '@polkadot/util-crypto';
+import { LabelStore } from '../src/utils/labelStore.js';
+
+const WALLET = '14ShUZUYUR35RBZW6uVVt1zXDxmSQddkeDdXf1JkMA6P721N';
+
+const binance = (fields = {}) => ({
+  address: WALLET,
+  label: 'Binance wallet',
+  entity: 'binance',
+  category: 'cex',
+  source: 'manual',
+  confidence: 1,
+  ...fields
+});
+
+function withStore(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'inflation-labelstore-'));
+  try {
+    return fn(join(dir, 'labels.json'));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('every save that changes labels bumps the version and records the history', () => {
+  withStore(filePath => {
+    const store = new LabelStore(filePath);
+    assert.equal(store.upsert(binance()), 'added');
+    assert.equal(store.save(), true);
+    assert.equal(store.save(), false);
+    assert.equal(store.getVersion().version, 1);
+
+    assert.equal(store.upsert(binance({ confidence: 0.8, source: 'arkham' })), 'updated');
+    assert.equal(store.remove(WALLET, null, { reason: 'market maker' }), true);
+    store.save();
+
+    // Removed labels stay in the file and keep their history
+    const reloaded = new LabelStore(filePath);
+    assert.equal(reloaded.getVersion().version, 2);
+    assert.equal(reloaded.get(WALLET), null);
+    assert.equal(reloaded.has(WALLET), true);
+    assert.equal(reloaded.upsert(binance({ confidence: 0.8, source: 'arkham' })), 'restored');
+    reloaded.save();
+
+    const entry = reloaded.get(WALLET);
+    assert.deepEqual(entry.history.map(item => [item.version, item.action]), [
+      [1, 'added'],
+      [2, 'updated'],
+      [2, 'removed'],
+      [3, 'restored']
+    ]);
+    assert.deepEqual(entry.history[1].changes, { source: ['manual', 'arkham'], confidence: [1, 0.8] });
+  });
+});
+
+test('labels are found under any encoding of the address', () => {
+  withStore(filePath => {
+    const store = new LabelStore(filePath);
+    const generic = encodeAddress(decodeAddress(WALLET), 42);
+    assert.equal(store.upsert(binance({ address: generic })), 'added');
+
+    assert.equal(store.get(WALLET).address, WALLET);
+    assert.equal(store.upsert(binance()), 'verified');
+    assert.throws(() => store.upsert(binance({ address: 'not-an-address' })), /Invalid address not-an-address/);
+  });
+});
+
+test('a second entity claiming a label is a conflict until overridden', () => {
+  withStore(filePath => {
+    const store = new LabelStore(filePath);
+    store.upsert(binance());
+
+    const kraken = binance({ entity: 'kraken', label: 'Kraken wallet', source: 'arkham' });
+    assert.equal(store.upsert(kraken), 'conflict');
+    assert.equal(store.upsert(kraken), 'conflict');
+    assert.equal(store.get(WALLET).entity, 'binance');
+    assert.deepEqual(store.conflicts().map(entry => entry.conflicts.map(claim => claim.entity)), [['kraken']]);
+
+    assert.equal(store.upsert(kraken, { override: true }), 'updated');
+    assert.equal(store.get(WALLET).entity, 'kraken');
+    assert.deepEqual(store.conflicts(), []);
+  });
+});
+
+test('unverified labels get no verified dates until verified', () => {
+  withStore(filePath => {
+    const store = new LabelStore(filePath);
+    store.upsert(binance({ source: 'exchange-list', confidence: 0.5 }), { verified: false });
+    assert.equal(store.get(WALLET).firstVerified, null);
+    assert.equal(store.get(WALLET).lastVerified, null);
+
+    store.upsert(binance({ source: 'exchange-list', confidence: 0.5 }));
+    assert.notEqual(store.get(WALLET).firstVerified, null);
+  });
+});
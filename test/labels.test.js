@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LabelManager } from '../src/labels.js';
+import { LabelStore } from '../src/utils/labelStore.js';
+
+const WALLET = '14ShUZUYUR35RBZW6uVVt1zXDxmSQddkeDdXf1JkMA6P721N';
+const DEPOSIT = '13wNbioJt44NKrcQ5ZUrshJqP7TKzQbzZt5nhkeL4joa3PAX';
+
+function withManager(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'inflation-labels-'));
+  const manager = new LabelManager({
+    exchangeDetector: {
+      labelStore: new LabelStore(join(dir, 'labels.json')),
+      exchangeAddresses: new Map([['binance', { name: 'Binance', type: 'cex' }]])
+    }
+  });
+  try {
+    return fn(manager, dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('labels add rejects confidences outside 0-1 and unknown kinds', () => {
+  withManager(manager => {
+    assert.throws(() => manager.add({ address: WALLET, entity: 'binance', confidence: 'abc' }), /Invalid confidence "abc"/);
+    assert.throws(() => manager.add({ address: WALLET, entity: 'binance', confidence: '1.5' }), /Invalid confidence "1.5"/);
+    assert.throws(() => manager.add({ address: WALLET, entity: 'binance', kind: 'hot' }), /Invalid kind "hot", expected wallet or deposit/);
+    assert.equal(manager.store.entries().length, 0);
+
+    assert.equal(manager.add({ address: WALLET, entity: 'binance', confidence: '0.8' }), 'added');
+    assert.equal(manager.store.get(WALLET).confidence, 0.8);
+  });
+});
+
+test('labels import rejects bad rows and fails on a bad --confidence', () => {
+  withManager((manager, dir) => {
+    const file = join(dir, 'wallets.csv');
+    writeFileSync(file, [
+      'address,entity,kind,confidence',
+      `${WALLET},binance,wallet,abc`,
+      `${DEPOSIT},binance,cold,0.9`,
+      `${WALLET},binance,wallet,0.7`,
+      `${DEPOSIT},binance,deposit,`
+    ].join('\n'));
+
+    assert.throws(() => manager.import(file, { confidence: 'high' }), /Invalid confidence "high"/);
+
+    const result = manager.import(file);
+    assert.deepEqual(result.rejected.map(({ row, reason }) => [row, reason]), [
+      [1, 'Invalid confidence "abc", expected a number from 0 to 1'],
+      [2, 'Invalid kind "cold", expected wallet or deposit']
+    ]);
+    assert.equal(result.added, 2);
+    assert.equal(manager.store.get(WALLET).confidence, 0.7);
+    assert.equal(manager.store.get(DEPOSIT).kind, 'deposit');
+  });
+});
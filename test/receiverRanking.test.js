@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChainRewardCollector } from '../src/collectors/chainRewardCollector.js';
+import { ReceiverRanking } from '../src/collectors/receiverRanking.js';
+
+// Blocks 1-4 are era 1, 5-8 era 2 and 9-10 era 3, so the last completed era is 2.
+// Block 6 pays A 30 and B 10 planck, block 7 pays B 50.
+const PAYOUTS = {
+  6: [['A', '30'], ['B', '10']],
+  7: [['B', '50']]
+};
+
+function blockAt(number) {
+  const rewards = PAYOUTS[number] || [];
+  return {
+    number,
+    hash: `0x${number}`,
+    timestamp: 1760000000 + number * 6,
+    activeEra: number <= 4 ? 1 : number <= 8 ? 2 : 3,
+    events: [
+      ...(rewards.length ? [{ index: 0, section: 'staking', method: 'PayoutStarted', data: ['2', 'V'] }] : []),
+      ...rewards.map(([address, amount], i) => ({ index: i + 1, section: 'staking', method: 'Rewarded', data: [address, amount] }))
+    ]
+  };
+}
+
+// Block source whose getBlock fails for the listed blocks, like a pruned node does
+function blockSource(unreadable = []) {
+  return {
+    getFirstNumber: async () => 1,
+    getHeadNumber: async () => 10,
+    getBlockMeta: async (number) => {
+      const { events, ...meta } = blockAt(number);
+      return meta;
+    },
+    getBlock: async (number) => {
+      if (unreadable.includes(number)) throw new Error('State already discarded');
+      return blockAt(number);
+    }
+  };
+}
+
+const ranking = unreadable => new ReceiverRanking({
+  rewardSource: new ChainRewardCollector({ blockSource: blockSource(unreadable), fixtureDir: null })
+});
+
+test('ranks receivers by the rewards paid in the last completed eras', async () => {
+  const result = await ranking([]).rank({ eras: 1 });
+
+  assert.equal(result.fromEra, 2);
+  assert.equal(result.toEra, 2);
+  assert.equal(result.failedBlocks, 0);
+  assert.deepEqual(result.receivers.map(r => [r.address, r.totalRewards, r.rewardCount]), [
+    ['B', '60', 2],
+    ['A', '30', 1]
+  ]);
+});
+
+test('a partial scan ranks what it read and reports the unreadable blocks', async () => {
+  const result = await ranking([7]).rank({ eras: 1 });
+
+  assert.equal(result.failedBlocks, 1);
+  assert.deepEqual(result.receivers.map(r => [r.address, r.totalRewards]), [
+    ['A', '30'],
+    ['B', '10']
+  ]);
+});
+
+test('ranking fails when no block of the eras can be read', async () => {
+  await assert.rejects(
+    ranking([5, 6, 7, 8]).rank({ eras: 1 }),
+    /None of the 4 blocks of eras 2-2 could be read; ranking needs an archive node/
+  );
+});
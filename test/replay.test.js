@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { cpSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const fixtures = join(root, 'test', 'fixtures');
+
+// One tracking cycle replayed from test/fixtures/subscan (clock frozen at 1760000000, payee
+// queries included) with the receivers and identities in test/fixtures/data and the labels in
+// test/fixtures/labels.json. Two tracked receivers: a validator that compounds its 5 DOT
+// of rewards, deposits 15 DOT of principal and rebonds 250 of its 700 DOT unbonding, and a
+// pool member that sells 4 of its 8 DOT of rewards within the hour. The fixtures are synthetic, in the recorder's format.
+function replayCycle() {
+  const dataDir = mkdtempSync(join(tmpdir(), 'inflation-replay-'));
+  cpSync(join(fixtures, 'data'), dataDir, { recursive: true });
+  cpSync(join(fixtures, 'labels.json'), join(dataDir, 'labels.json'));
+
+  const result = spawnSync(process.execPath, ['index.js', 'track', '--once'], {
+    cwd: root,
+    encoding: 'utf8',
+    timeout: 60000,
+    env: {
+      ...process.env,
+      NETWORK: 'polkadot',
+      SUBSCAN_MODE: 'replay',
+      SUBSCAN_FIXTURES_DIR: join(fixtures, 'subscan'),
+      DATA_DIR: dataDir,
+      LABELS_FILE: join(dataDir, 'labels.json')
+    }
+  });
+
+  try {
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    return JSON.parse(readFileSync(join(dataDir, 'analysis', 'latest.json'), 'utf8'));
+  } finally {
+    rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+test('replayed cycle produces the recorded FlowAnalyzer summary', () => {
+  const { summary, params, period } = replayCycle();
+
+  assert.equal(period.end, 1760000000);
+  assert.equal(params.hours, 24);
+
+  assert.equal(summary.totalRewards, '130000000000');
+  assert.equal(summary.liquidRewards, '80000000000');
+  assert.equal(summary.exchangeFlow, '190000000000');
+  assert.equal(summary.rewardsSold, '40000000000');
+  assert.equal(summary.principalSold, '150000000000');
+  assert.equal(summary.xcmOutflow, '30000000000');
+  assert.equal(summary.sellPressurePercent, 50);
+  assert.equal(summary.quickSellers, 1);
+  assert.equal(summary.holders, 1);
+
+  assert.equal(summary.exchangeInflow, '13500000000000');
+  assert.equal(summary.exchangeOutflow, '4000000000000');
+  assert.equal(summary.netExchangeFlow, '9500000000000');
+
+  // The rebond takes the newer 200 DOT unbond and 50 of the older 500 DOT one
+  assert.equal(summary.unbonded, '2000000000000');
+  assert.equal(summary.rebonded, '2500000000000');
+  assert.equal(summary.futureSupply, '4500000000000');
+});
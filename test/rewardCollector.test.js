@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RewardCollector } from '../src/collectors/rewardCollector.js';
+
+const ADDRESS = '15cfSaBcTxNr8rV59cbhdMNCRagFr3GE6B3zZRsCp4QHHKPu';
+const now = Math.floor(Date.now() / 1000);
+
+const row = (eventId, blockNum, amount, timestamp) => ({
+  account: ADDRESS,
+  amount,
+  block_num: String(blockNum),
+  block_timestamp: String(timestamp),
+  event_id: eventId,
+  event_idx: 4,
+  event_index: `${blockNum}-4`,
+  module_id: 'staking'
+});
+
+test('slashes listed by reward_slash are not counted as rewards', async () => {
+  const collector = new RewardCollector();
+  collector.makeRequest = async () => ({
+    list: [
+      row('Rewarded', 300, '30000000000', now - 60),
+      row('Slashed', 250, '90000000000', now - 120),
+      row('Slash', 220, '10000000000', now - 180),
+      row('Reward', 200, '20000000000', now - 240)
+    ]
+  });
+
+  const { rewards, completeness } = await collector.fetchRewardsForAddress(ADDRESS, now - 3600, now);
+
+  assert.deepEqual(rewards.map(reward => [reward.eventId, reward.amount, reward.type]), [
+    ['300-4', '30000000000', 'staking_reward'],
+    ['200-4', '20000000000', 'staking_reward']
+  ]);
+  assert.equal(completeness.complete, true);
+  assert.equal(completeness.events, 2);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransferCollector } from '../src/collectors/transferCollector.js';
+
+const SENDER = '15cfSaBcTxNr8rV59cbhdMNCRagFr3GE6B3zZRsCp4QHHKPu';
+const RECIPIENT = '14ShUZUYUR35RBZW6uVVt1zXDxmSQddkeDdXf1JkMA6P721N';
+
+const transfer = (extrinsicIndex, amount, success) => ({
+  from: SENDER,
+  to: RECIPIENT,
+  amount_v2: amount,
+  block_num: extrinsicIndex.split('-')[0],
+  block_timestamp: '1760000000',
+  extrinsic_index: extrinsicIndex,
+  extrinsic_hash: `0x${extrinsicIndex}`,
+  event_idx: 0,
+  success,
+  fee: '150000000'
+});
+
+test('failed transfers are not collected', async () => {
+  const collector = new TransferCollector();
+  collector.makeRequest = async () => ({
+    transfers: [transfer('300-2', '10000000000', true), transfer('290-1', '90000000000', false)]
+  });
+
+  const { transfers, complete } = await collector.fetchTransferPages(SENDER, 1759990000, 1760010000, 'from');
+
+  assert.equal(complete, true);
+  assert.deepEqual(transfers.map(t => [t.eventId, t.amount]), [['300-2-0', '10000000000']]);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UnbondingCollector } from '../src/collectors/unbondingCollector.js';
+import { FlowAnalyzer } from '../src/analyzers/flowAnalyzer.js';
+
+const STASH = '15cfSaBcTxNr8rV59cbhdMNCRagFr3GE6B3zZRsCp4QHHKPu';
+const DOT = 10_000_000_000n;
+const now = Math.floor(Date.now() / 1000);
+
+const event = (eventId, blockNum, extrinsicHash, timestamp) => ({
+  event_index: `${blockNum}-2`,
+  block_num: String(blockNum),
+  block_timestamp: String(timestamp),
+  extrinsic_hash: extrinsicHash,
+  module_id: 'staking',
+  event_id: eventId
+});
+
+// A 100 DOT unbond, then 30 DOT back through staking.rebond and 50 DOT of new stake
+// through bond_extra: both of the later calls emit staking.Bonded
+function collectorFor(rebondExtrinsics) {
+  const events = {
+    Unbonded: [event('Unbonded', 10, '0xunbond', now - 3000)],
+    Bonded: [event('Bonded', 30, '0xextra', now - 1000), event('Bonded', 20, '0xrebond', now - 2000)]
+  };
+  const amounts = { '10-2': 100n * DOT, '20-2': 30n * DOT, '30-2': 50n * DOT };
+
+  const collector = new UnbondingCollector();
+  collector.makeRequest = async (endpoint, data) => {
+    if (endpoint === '/api/v2/scan/events') {
+      return { events: events[data.event_id] || [] };
+    }
+    if (endpoint === '/api/v2/scan/extrinsics') {
+      return { extrinsics: rebondExtrinsics };
+    }
+    return data.event_index.map(index => ({
+      event_index: index,
+      params: [{ name: 'amount', type_name: 'BalanceOf', value: amounts[index].toString() }]
+    }));
+  };
+  return collector;
+}
+
+async function analyzeUnbonding(collector) {
+  const { events, complete } = await collector.fetchEventsForAddress(STASH, now - 86400, now);
+  const analysis = new FlowAnalyzer().analyzeFlows({
+    rewards: [],
+    transfers: [],
+    exchangeFlows: [],
+    topReceivers: [{ address: STASH }],
+    stakingEvents: events,
+    period: { type: 'rolling', start: now - 86400, end: now }
+  });
+  return { events, complete, summary: analysis.summary };
+}
+
+test('only staking.rebond takes back pending unbonds, bond_extra is new stake', async () => {
+  const { events, complete, summary } = await analyzeUnbonding(collectorFor([
+    { extrinsic_hash: '0xrebond', block_num: 20, block_timestamp: now - 2000, success: true }
+  ]));
+
+  assert.equal(complete, true);
+  assert.deepEqual(events.map(e => [e.blockNumber, e.type]).sort(), [
+    [10, 'staking_unbond'],
+    [20, 'staking_rebond'],
+    [30, 'staking_bond']
+  ]);
+  assert.equal(summary.unbonded, (100n * DOT).toString());
+  assert.equal(summary.rebonded, (30n * DOT).toString());
+  assert.equal(summary.futureSupply, (70n * DOT).toString());
+});
+
+test('Bonded without a rebond extrinsic leaves the unbond unlocking', async () => {
+  const { summary } = await analyzeUnbonding(collectorFor([]));
+
+  assert.equal(summary.rebonded, '0');
+  assert.equal(summary.futureSupply, (100n * DOT).toString());
+});
@@ -6,6 +6,7 @@ import { ExchangeDetector } from './src/analyzers/exchangeDetector.js';
 import { Reporter } from './src/reporter.js';
 import { logger } from './src/utils/logger.js';
 import { FileStorage } from './src/utils/storage.js';
+import { sumPlanck, toPlanck } from './src/utils/units.js';
 
 config();
 
@@ -28,7 +29,7 @@ async function trackNominators() {
     console.log('\n📍 Step 2: Loading top 300 nominators...');
     const nominators = await storage.loadTopReceivers();
     console.log(`✅ Loaded ${nominators.length} nominators`);
-    console.log(`   Total rewards in dataset: ${nominators.reduce((sum, n) => sum + n.totalRewards, 0).toLocaleString()} DOT`);
+    console.log(`   Total rewards in dataset: ${reporter.formatAmount(sumPlanck(nominators.map(n => n.totalRewards)))}`);
     
     // Step 3: Fetch recent rewards (last 7 days for better data)
     console.log('\n📍 Step 3: Fetching recent rewards from blockchain...');
@@ -41,8 +42,8 @@ async function trackNominators() {
     console.log(`\n✅ Found ${recentRewards.length} recent reward events`);
     
     if (recentRewards.length > 0) {
-      const totalRecentRewards = recentRewards.reduce((sum, r) => sum + r.amount, 0);
-      console.log(`   Total rewards (7 days): ${totalRecentRewards.toLocaleString()} DOT`);
+      const totalRecentRewards = sumPlanck(recentRewards.map(r => r.amount));
+      console.log(`   Total rewards (7 days): ${reporter.formatAmount(totalRecentRewards)}`);
     }
     
     // Step 4: Track transfers
@@ -64,16 +65,16 @@ async function trackNominators() {
         if (flow.type === 'deposit') {
           const exchange = flow.exchange.name;
           if (!exchangeSummary[exchange]) {
-            exchangeSummary[exchange] = { count: 0, amount: 0 };
+            exchangeSummary[exchange] = { count: 0, amount: 0n };
           }
           exchangeSummary[exchange].count++;
-          exchangeSummary[exchange].amount += flow.amount;
+          exchangeSummary[exchange].amount += toPlanck(flow.amount);
         }
       });
       
       console.log('\n🎯 Exchange Deposits Detected:');
       Object.entries(exchangeSummary).forEach(([exchange, data]) => {
-        console.log(`   ${exchange}: ${data.count} transfers, ${data.amount.toLocaleString()} DOT`);
+        console.log(`   ${exchange}: ${data.count} transfers, ${reporter.formatAmount(data.amount)}`);
       });
     }
     
@@ -83,7 +84,8 @@ async function trackNominators() {
       rewards: recentRewards,
       transfers: transfers,
       exchangeFlows: exchangeFlows,
-      topReceivers: sampleNominators
+      topReceivers: sampleNominators,
+      rewardCompleteness: rewardCollector.lastCompleteness
     });
     
     // Save analysis
@@ -99,8 +101,8 @@ async function trackNominators() {
     
     console.log('\n📈 7-DAY SUMMARY:');
     console.log(`   Nominators Analyzed: ${sampleNominators.length}`);
-    console.log(`   Total Rewards: ${analysis.summary.totalRewards.toLocaleString()} DOT`);
-    console.log(`   Sent to Exchanges: ${analysis.summary.exchangeFlow.toLocaleString()} DOT`);
+    console.log(`   Total Rewards: ${reporter.formatAmount(analysis.summary.totalRewards)}`);
+    console.log(`   Sent to Exchanges: ${reporter.formatAmount(analysis.summary.exchangeFlow)}`);
     console.log(`   Sell Pressure: ${analysis.summary.sellPressurePercent.toFixed(1)}%`);
     
     if (analysis.summary.sellPressurePercent > 0) {